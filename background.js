@@ -1,14 +1,157 @@
+const PROTOCOL_VERSION = 3
+// Relays that predate the hello handshake count as protocol 1.
+const MIN_RELAY_PROTOCOL_VERSION = 1
 const DEFAULT_PORT = 18792
+const DEFAULT_HOST = '127.0.0.1'
+const DEFAULT_PATH = '/extension'
+const LOCAL_RELAY_HOSTS = ['127.0.0.1', 'localhost', '::1']
 const RETRY_BASE_MS = 1000
 const RETRY_MAX_MS = 30000
+const RELAY_AUTH_TIMEOUT_MS = 5000
+const RELAY_HELLO_TIMEOUT_MS = 5000
+const RELAY_GRACE_MS = 15000
+const RELAY_GRACE_RETRY_MS = 500
+const RELAY_EVENT_BUFFER_MAX = 2000
+const REGISTRY_STORAGE_KEY = 'relayRegistry'
+const REGISTRY_PERSIST_DELAY_MS = 100
+const KEEPALIVE_INTERVAL_MS = 20000
+const KEEPALIVE_ALARM = 'relay-keepalive'
+const RELAY_PING_TIMEOUT_MS = 45000
+const CREATE_TARGET_ATTACHABLE_TIMEOUT_MS = 5000
+const DEFAULT_BROWSER_CONTEXT_ID = 'cb-context-default'
+const DEFAULT_MAX_CONCURRENT_TABS = 4
+// With this many tabs loading at once, the cross-tab limit is halved until they settle.
+const NAVIGATION_PRESSURE_TABS = 3
+const QUEUE_WAIT_LOG_MS = 1000
+const DEFAULT_COMMAND_TIMEOUT_MS = 30000
+const MAX_COMMAND_TIMEOUT_MS = 10 * 60 * 1000
+// How long a timed-out or cancelled command keeps its tab's turn while Chrome may still be running it.
+const ABANDONED_TURN_GRACE_MS = 5000
+const RELAY_REQUEST_TIMEOUT_MS = 30000
+/**
+ * How a failed command may be recovered: `safe` and `read` retry and may fail over to another tab, `read` also
+ * gets the URL guard; `mutating` is re-sent only when it never reached the page; `never` is not re-sent.
+ */
+const RETRY_CLASSES = ['safe', 'read', 'mutating', 'never']
+const DEFAULT_RETRY_LIMITS = { safe: 2, read: 2, mutating: 1, never: 0 }
+const DEFAULT_RETRY_BACKOFF_MS = 250
+const MAX_RETRIES = 5
+const MAX_RETRY_BACKOFF_MS = 60000
+/** What the URL guard does when a read-like command fails on a tab whose URL drifted: nothing, tell the relay, or
+ * re-navigate/reload the tab. */
+const URL_GUARD_MODES = ['off', 'report', 'renavigate']
+/** Error codes after which the same step may succeed once the controller refreshes its targets and retries. */
+const RECOVERABLE_ERROR_CODES = new Set([
+  'TAB_NOT_FOUND',
+  'DETACHED',
+  'STRICT_AFFINITY_LOST',
+  'NO_ATTACHED_TAB',
+  'SESSION_MISMATCH',
+  'TIMEOUT',
+  'RELAY_DISCONNECTED',
+])
+/**
+ * Methods that bypass the per-tab queues: browser-level ones do not run against a tab's debugger, and the rest must
+ * be able to unblock a tab whose queued command is stuck (a JavaScript dialog, a long script, a breakpoint).
+ */
+const UNQUEUED_METHODS = new Set([
+  'Target.getTargets',
+  'Target.setDiscoverTargets',
+  'Target.createBrowserContext',
+  'Target.disposeBrowserContext',
+  'Target.getBrowserContexts',
+  'Browser.getVersion',
+  'Browser.getWindowBounds',
+  'Browser.setWindowBounds',
+  'Relay.resolveTab',
+  'Relay.setTabLabels',
+  'Relay.getTabLabels',
+  'Relay.probe',
+  'Page.handleJavaScriptDialog',
+  'Runtime.terminateExecution',
+  'Debugger.resume',
+])
+/** Non-enable/override methods whose effect lives in the debugger session and is lost on detach. */
+const REPLAYED_STATE_METHODS = new Set([
+  'Network.setExtraHTTPHeaders',
+  'Network.setUserAgentOverride',
+  'Network.setCacheDisabled',
+  'Network.setBlockedURLs',
+  'Network.setBypassServiceWorker',
+  'Network.emulateNetworkConditions',
+  'Page.setBypassCSP',
+  'Page.setLifecycleEventsEnabled',
+  'Target.setAutoAttach',
+])
+const CHILD_SESSION_WAIT_MS = 2000
 const STALE_SESSION_TTL_MS = 15000
 const STALE_TARGET_TTL_MS = 15000
+const ATTACH_MODES = ['all', 'active', 'opt-in', 'agent']
+const MAX_TAB_TAGS = 50
+const MAX_TAB_LABEL_LENGTH = 200
+const MAX_TAB_TAG_VALUE_LENGTH = 500
+const PROBE_TIMEOUT_MS = 2000
+const DEFAULT_WAIT_FOR_TIMEOUT_MS = 10000
+const WAIT_FOR_POLL_MS = 100
+const NETWORK_IDLE_MS = 500
+const WAIT_FOR_STATES = ['load', 'domcontentloaded', 'networkidle', 'url-match', 'selector-present']
+
+/** Methods on the forwardCDPCommand channel that the extension answers itself instead of a tab's debugger. */
+const EXTENSION_METHODS = [
+  'Target.createTarget',
+  'Target.closeTarget',
+  'Target.activateTarget',
+  'Target.getTargets',
+  'Target.setDiscoverTargets',
+  'Target.createBrowserContext',
+  'Target.disposeBrowserContext',
+  'Target.getBrowserContexts',
+  'Browser.getVersion',
+  'Browser.getWindowForTarget',
+  'Browser.getWindowBounds',
+  'Browser.setWindowBounds',
+  'Relay.resolveTab',
+  'Relay.setTabLabels',
+  'Relay.getTabLabels',
+  'Relay.probe',
+  'Relay.waitFor',
+]
+/** Behaviours a relay may rely on; announced in the hello message. */
+const RELAY_FEATURES = [
+  'auth-hmac',
+  'attach-policy',
+  'attach-modes',
+  'target-withdrawn-event',
+  'target-discovery',
+  'browser-windows',
+  'browser-contexts',
+  'command-queue',
+  'command-timeout',
+  'command-cancel',
+  'structured-errors',
+  'session-grace',
+  'registry-rehydrate',
+  'keepalive',
+  'recovery:reattach-retry',
+  'recovery:url-guard',
+  'url-drift-event',
+  'recovery:strict-affinity',
+  'recovery:strict-mode',
+  'recovery:state-replay',
+  'recovery:retry-policy',
+  'child-sessions',
+  'stable-target-ids',
+  'tab-labels',
+  'probe-wait',
+]
 
 const BADGE = {
   on: { text: 'ON', color: '#FF5A36' },
   off: { text: '', color: '#000000' },
   connecting: { text: '…', color: '#F59E0B' },
   error: { text: '!', color: '#B91C1C' },
+  withdrawn: { text: 'OFF', color: '#6B7280' },
+  authFailed: { text: 'KEY', color: '#7C3AED' },
 }
 
 /** @type {WebSocket|null} */
@@ -17,17 +160,46 @@ let relayWs = null
 let relayConnectPromise = null
 let reconnectTimer = null
 let reconnectAttempt = 0
+let nextRelayRequestId = 1
+/** Set once the relay acknowledged the pairing token; commands are refused before that. */
+let relayAuthenticated = false
+let relayAuthFailed = false
+/** Negotiated in the hello exchange; 0 while disconnected. */
+let relayProtocolVersion = 0
+let relayProtocolMismatch = false
+/** While true, debugger sessions are kept across a relay disconnect and events are buffered. */
+let relayHoldingSessions = false
+let relayGraceTimer = null
+let relayGraceRetryTimer = null
+/** @type {Array<{method:'forwardCDPEvent', params:any}>} */
+const bufferedRelayEvents = []
+let droppedRelayEvents = 0
+let keepaliveTimer = null
+/** Last time the relay sent a ping; 0 until the first one (relays that never ping are not watched). */
+let lastRelayPingAt = 0
 
 let debuggerListenersInstalled = false
 
 let nextSession = 1
+let registryPersistTimer = null
 
-/** @type {Map<number, {state:'connecting'|'connected', sessionId?:string, targetId?:string, attachOrder?:number}>} */
+/**
+ * @type {Map<number, {state:'connecting'|'connected', sessionId?:string, targetId?:string, attachOrder?:number,
+ *   browserContextId?:string}>}
+ */
 const tabs = new Map()
 /** @type {Map<string, number>} */
 const tabBySession = new Map()
-/** @type {Map<string, number>} */
-const childSessionToTab = new Map()
+/**
+ * Flattened auto-attach children (OOPIFs, workers), keyed by the session id the relay knows. Chrome assigns new
+ * session ids when a child is re-established after a re-attach; `debuggerSessionId` follows them, and is empty
+ * while the child is waiting to come back.
+ * @type {Map<string, {tabId:number, debuggerSessionId:string, targetInfo:any, orphanedAt?:number,
+ *   replayState?:Map<string, {method:string, params?:any, identifier?:string}>}>}
+ */
+const childSessions = new Map()
+/** @type {Map<string, string>} debugger session id -> relay session id, for re-established children */
+const childSessionAliases = new Map()
 /** @type {Map<string, {tabId:number, expiresAt:number}>} */
 const staleSessionToTab = new Map()
 /** @type {Map<string, {tabId:number, expiresAt:number}>} */
@@ -36,6 +208,187 @@ const staleTargetToTab = new Map()
 /** @type {Map<number, {resolve:(v:any)=>void, reject:(e:Error)=>void}>} */
 const pending = new Map()
 
+/** @type {{allow: Array<(u: URL) => boolean>, deny: Array<(u: URL) => boolean>}|null} */
+let attachPolicy = null
+/** @type {'all'|'active'|'opt-in'|'agent'|null} */
+let attachMode = null
+/**
+ * Options overrides for retry classes and limits; null until read from storage.
+ * @type {{rules: Array<{test:(method:string) => boolean, retryClass:string}>, limits:Record<string, number>,
+ *   backoffMs:number}|null}
+ */
+let retryPolicy = null
+/**
+ * URL guard settings; null until read from storage.
+ * @type {{mode:string, origins:Array<{test:(u:URL) => boolean, mode:string}>,
+ *   methods:Array<{test:(method:string) => boolean, mode:string}>}|null}
+ */
+let urlGuardPolicy = null
+/** @type {Set<number>} tabs the user attached from the action button; attached in every mode */
+const optedInTabs = new Set()
+/** @type {Set<number>} tabs opened by the agent (Target.createTarget and their popups); attached in every mode */
+const agentTabs = new Set()
+/** @type {Set<number>} tabs the user detached with "Cancel" on the debugging infobar; never auto-attached */
+const withdrawnTabs = new Set()
+/** Set by Target.setDiscoverTargets; while on, chrome.tabs changes become Target.target* events. */
+let discoverTargets = false
+/** @type {Map<number, string>} tab -> target alias announced with Target.targetCreated */
+const discoveredTargets = new Map()
+/** @type {Map<number, Promise<void>>} tab -> pending discovery sync; syncs for one tab run one after another */
+const discoverySyncs = new Map()
+/**
+ * CDP browser contexts, each backed by extension-managed window(s). Tabs belong to the context of their window.
+ * @type {Map<string, {windowIds:Set<number>, incognito:boolean, placeholderTabId?:number}>}
+ */
+const browserContexts = new Map()
+let nextBrowserContext = 1
+
+/**
+ * Session state the controller set up per tab (domain enables, overrides, injected scripts), replayed in
+ * order after a re-attach. Survives detachTab; dropped when the tab closes or the relay is lost for good.
+ * @type {Map<number, Map<string, {method:string, params?:any, identifier?:string}>>}
+ */
+const tabReplayState = new Map()
+let nextReplayScript = 1
+/**
+ * Controller-assigned label and key/value tags per tab. Kept across navigation and re-attach until the tab closes.
+ * @type {Map<number, {label?:string, tags:Record<string, string>}>}
+ */
+const tabLabels = new Map()
+/** @type {Map<number, string>} last status tooltip per tab, so label changes can redraw it */
+const tabStatusTitles = new Map()
+/**
+ * Main-frame lifecycle of attached tabs (names seen for the current loader) and their in-flight requests,
+ * fed by debugger events. Backs Relay.probe and Relay.waitFor.
+ * @type {Map<number, {loaderId:string, lifecycle:Set<string>, inflight:Set<string>, lastNetworkAt:number}>}
+ */
+const pageStates = new Map()
+
+/** @type {Map<string, Promise<void>>} queue key -> tail of that tab's FIFO */
+const commandQueueTails = new Map()
+/** @type {Map<string, number>} queue key -> commands queued or running */
+const commandQueueDepths = new Map()
+/** @type {Array<() => void>} commands waiting for a cross-tab slot */
+const tabSlotWaiters = []
+let activeTabSlots = 0
+/** @type {number|null} */
+let maxConcurrentTabs = null
+/** Deadline for commands that send no `timeoutMs` (options: "Command timeout"); 0 means none. */
+let defaultCommandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS
+/**
+ * Active tab of the last focused window, kept synchronously so unaddressed commands can be queued under the tab
+ * they will run on.
+ * @type {number|null}
+ */
+let focusedTabId = null
+/** @type {number|null} */
+let focusedWindowId = null
+/** @type {Set<number>} tabs currently loading; used to lower concurrency during navigation bursts */
+const navigatingTabs = new Set()
+/** @type {Map<number, AbortController>} relay command id -> controller aborted on timeout or cancelCDPCommand */
+const inflightCommands = new Map()
+/** @type {WeakMap<AbortSignal, Set<Promise<any>>>} debugger sends per command, kept until Chrome settles them */
+const debuggerSendsBySignal = new WeakMap()
+const withdrawnTabsLoaded = chrome.storage.session
+  .get(['withdrawnTabIds'])
+  .then((stored) => {
+    for (const id of stored.withdrawnTabIds || []) withdrawnTabs.add(id)
+  })
+  .catch(() => {})
+
+/**
+ * Error with a stable machine-readable `code` (e.g. TIMEOUT, CANCELLED) for the relay.
+ * @returns {Error & {code:string, details?:any}}
+ */
+function createRelayError(code, message, details) {
+  const err = /** @type {Error & {code:string, details?:any}} */ (new Error(message))
+  err.code = code
+  if (details) err.details = details
+  return err
+}
+
+/** Chrome reports CDP failures as a JSON `{code, message}` string in the error message. */
+function parseCdpError(message) {
+  if (!message.startsWith('{')) return null
+  try {
+    const parsed = JSON.parse(message)
+    if (typeof parsed?.code !== 'number') return null
+    return { code: parsed.code, message: String(parsed.message || '') }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Error object sent to protocol 3+ relays. `recovery` lists the recovery steps that ran before giving up.
+ * @returns {{
+ *   code: string, message: string, recoverable: boolean, recovery: string[],
+ *   cdp?: {code:number, message:string}, details?: any
+ * }}
+ */
+function toRelayErrorPayload(err, recovery = []) {
+  const message = err instanceof Error ? err.message : String(err)
+  const cdp = parseCdpError(message)
+  let code = typeof (/** @type {any} */ (err)?.code) === 'string' ? /** @type {any} */ (err).code : ''
+  if (!code) {
+    if (isTabNotFoundError(err)) code = 'TAB_NOT_FOUND'
+    else if (isDebuggerDetachedError(err)) code = 'DETACHED'
+    else code = cdp ? 'CDP_ERROR' : 'INTERNAL'
+  }
+  const details = /** @type {any} */ (err)?.details
+  return {
+    code,
+    message: cdp?.message || message,
+    recoverable: RECOVERABLE_ERROR_CODES.has(code),
+    recovery,
+    ...(cdp ? { cdp } : {}),
+    ...(details ? { details } : {}),
+  }
+}
+
+/** Rejects with `signal.reason` as soon as the signal aborts; the underlying work is not stopped. */
+function raceWithSignal(promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(signal.reason)
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(value)
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort)
+        reject(err)
+      }
+    )
+  })
+}
+
+/**
+ * Sends a debugger command that gives up when `signal` aborts. Chrome keeps running an abandoned send, so it is
+ * tracked under the signal until it settles.
+ */
+function sendDebuggerCommand(debuggee, method, params, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason)
+  const send = chrome.debugger.sendCommand(debuggee, method, params)
+  if (signal) {
+    const sends = debuggerSendsBySignal.get(signal) || new Set()
+    debuggerSendsBySignal.set(signal, sends)
+    sends.add(send)
+    const settled = () => sends.delete(send)
+    send.then(settled, settled)
+  }
+  return raceWithSignal(send, signal)
+}
+
+/** Resolves once every debugger send made under `signal` has settled in Chrome. */
+async function settleDebuggerSends(signal) {
+  if (!signal) return
+  await Promise.allSettled([...(debuggerSendsBySignal.get(signal) || [])])
+}
+
 function nowStack() {
   try {
     return new Error().stack || ''
@@ -44,14 +397,57 @@ function nowStack() {
   }
 }
 
-async function getRelayPort() {
-  const stored = await chrome.storage.local.get(['relayPort'])
-  const raw = stored.relayPort
+async function getProfileId() {
+  const stored = await chrome.storage.local.get(['profileId'])
+  if (typeof stored.profileId === 'string' && stored.profileId) return stored.profileId
+  const profileId = crypto.randomUUID()
+  await chrome.storage.local.set({ profileId })
+  return profileId
+}
+
+async function getRelayToken() {
+  const stored = await chrome.storage.local.get(['relayToken'])
+  return String(stored.relayToken || '').trim()
+}
+
+function parseRelayPort(raw) {
   const n = Number.parseInt(String(raw || ''), 10)
   if (!Number.isFinite(n) || n <= 0 || n > 65535) return DEFAULT_PORT
   return n
 }
 
+function parseRelayHost(raw) {
+  const host = String(raw || '')
+    .trim()
+    .replace(/^\[(.*)\]$/, '$1')
+    .toLowerCase()
+  return host || DEFAULT_HOST
+}
+
+function parseRelayPath(raw) {
+  const path = String(raw || '').trim()
+  if (!path) return DEFAULT_PATH
+  return path.startsWith('/') ? path : `/${path}`
+}
+
+async function getRelayEndpoint() {
+  const stored = await chrome.storage.local.get(['relayScheme', 'relayHost', 'relayPort', 'relayPath'])
+  const secure = stored.relayScheme === 'wss'
+  const host = parseRelayHost(stored.relayHost)
+  const port = parseRelayPort(stored.relayPort)
+  const path = parseRelayPath(stored.relayPath)
+  const hostPart = host.includes(':') ? `[${host}]` : host
+  const httpScheme = secure ? 'https' : 'http'
+  return {
+    host,
+    // Only plain http on loopback is covered by the manifest host_permissions.
+    isLocal: !secure && LOCAL_RELAY_HOSTS.includes(host),
+    httpBase: `${httpScheme}://${hostPart}:${port}`,
+    wsUrl: `${secure ? 'wss' : 'ws'}://${hostPart}:${port}${path}`,
+    originPattern: `${httpScheme}://${hostPart}/*`,
+  }
+}
+
 function setBadge(tabId, kind) {
   const cfg = BADGE[kind]
   void chrome.action.setBadgeText({ tabId, text: cfg.text }).catch(() => {})
@@ -68,11 +464,21 @@ function setGlobalBadge(kind) {
 
 function setTabTitle(tabId, title) {
   if (!tabId) return
-  void chrome.action.setTitle({ tabId, title }).catch(() => {})
+  tabStatusTitles.set(tabId, title)
+  const labels = tabLabels.get(tabId)
+  const lines = [title]
+  if (labels?.label) lines.push(`Label: ${labels.label}`)
+  const tags = Object.entries(labels?.tags || {})
+  if (tags.length > 0) lines.push(`Tags: ${tags.map(([key, value]) => `${key}=${value}`).join(', ')}`)
+  void chrome.action.setTitle({ tabId, title: lines.join('\n') }).catch(() => {})
 }
 
 async function syncGlobalBadgeForActiveTab() {
   const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
+  if (relayAuthFailed) {
+    setGlobalBadge('authFailed')
+    return
+  }
   if (!active?.id) {
     setGlobalBadge('off')
     return
@@ -99,6 +505,133 @@ function canAttachToUrl(url) {
   )
 }
 
+function globToRegExp(glob) {
+  const escaped = String(glob)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+  return new RegExp(`^${escaped}$`, 'i')
+}
+
+/**
+ * Compiles one attach rule into a URL predicate.
+ * - `/regex/flags` is tested against the full URL.
+ * - `scheme://host` globs are tested against the origin; with a path they are tested against the full URL.
+ * - anything else is a domain (`example.com` also matches subdomains, `*.example.com` only subdomains).
+ */
+function compileUrlRule(rule) {
+  const raw = String(rule || '').trim()
+  if (!raw || raw.startsWith('#')) return null
+
+  const regexMatch = raw.match(/^\/(.+)\/([a-z]*)$/)
+  if (regexMatch) {
+    try {
+      const re = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''))
+      return (u) => re.test(u.href)
+    } catch {
+      console.warn('[relay] invalid url rule regex', raw)
+      return null
+    }
+  }
+
+  if (raw.includes('://')) {
+    const hasPath = raw.indexOf('/', raw.indexOf('://') + 3) !== -1
+    const re = globToRegExp(raw)
+    return hasPath ? (u) => re.test(u.href) : (u) => re.test(u.origin)
+  }
+
+  const host = raw.toLowerCase()
+  if (host.startsWith('*.') && !host.slice(2).includes('*')) {
+    const suffix = host.slice(1)
+    return (u) => u.hostname.endsWith(suffix)
+  }
+  if (host.includes('*')) {
+    const re = globToRegExp(host)
+    return (u) => re.test(u.hostname)
+  }
+  return (u) => u.hostname === host || u.hostname.endsWith(`.${host}`)
+}
+
+function toRuleList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v || ''))
+  return String(value || '').split('\n')
+}
+
+async function getAttachPolicy() {
+  if (attachPolicy) return attachPolicy
+  const stored = await chrome.storage.local.get(['attachAllowRules', 'attachDenyRules'])
+  attachPolicy = {
+    allow: toRuleList(stored.attachAllowRules).map(compileUrlRule).filter(Boolean),
+    deny: toRuleList(stored.attachDenyRules).map(compileUrlRule).filter(Boolean),
+  }
+  return attachPolicy
+}
+
+function urlMatchesAttachPolicy(url, policy) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch {
+    return false
+  }
+  if (policy.deny.some((test) => test(parsed))) return false
+  if (policy.allow.length === 0) return true
+  return policy.allow.some((test) => test(parsed))
+}
+
+async function isUrlAllowedForAttach(url) {
+  if (!canAttachToUrl(url)) return false
+  return urlMatchesAttachPolicy(url, await getAttachPolicy())
+}
+
+// Non-web URLs (about:blank, chrome://) are not judged by the rules; Chrome decides whether they are debuggable.
+async function isUrlDeniedByPolicy(url) {
+  if (!canAttachToUrl(url)) return false
+  return !urlMatchesAttachPolicy(url, await getAttachPolicy())
+}
+
+async function enforceAttachPolicyForTab(tabId, url, source = 'policy') {
+  if (!tabs.has(tabId)) return false
+  if (!(await isUrlDeniedByPolicy(url))) return false
+  console.warn('[relay] tab left attach scope', JSON.stringify({ source, tabId, url }))
+  await detachTab(tabId, 'policy-denied')
+  setTabTitle(tabId, 'OpenClaw Browser Relay: not attached (URL excluded by attach rules)')
+  return true
+}
+
+async function getAttachMode() {
+  if (attachMode) return attachMode
+  const stored = await chrome.storage.local.get(['attachMode'])
+  attachMode = ATTACH_MODES.includes(stored.attachMode) ? stored.attachMode : 'all'
+  return attachMode
+}
+
+async function isTabInAttachMode(tab) {
+  if (!tab?.id) return false
+  if (optedInTabs.has(tab.id) || agentTabs.has(tab.id)) return true
+  const mode = await getAttachMode()
+  if (mode === 'all') return true
+  if (mode === 'active') return Boolean(tab.active)
+  return false
+}
+
+async function enforceAttachScopeForTab(tabId, source = 'policy') {
+  const tab = await chrome.tabs.get(tabId).catch(() => null)
+  if (!tab?.id) return
+  if (await enforceAttachPolicyForTab(tabId, tab.url || '', source)) return
+  if (await isTabInAttachMode(tab)) return
+  await detachTab(tabId, 'attach-mode')
+  setTabTitle(tabId, 'OpenClaw Browser Relay: not attached (outside the attach mode)')
+}
+
+async function enforceAttachScopeOnAttachedTabs(source = 'policy') {
+  const tasks = []
+  for (const tabId of tabs.keys()) {
+    tasks.push(enforceAttachScopeForTab(tabId, source))
+  }
+  if (tasks.length === 0) return
+  await Promise.allSettled(tasks)
+}
+
 function scheduleReconnectAllTabs() {
   if (reconnectTimer) return
   const delay = Math.min(RETRY_BASE_MS * 2 ** reconnectAttempt, RETRY_MAX_MS)
@@ -114,9 +647,12 @@ async function ensureRelayConnection() {
   if (relayConnectPromise) return await relayConnectPromise
 
   relayConnectPromise = (async () => {
-    const port = await getRelayPort()
-    const httpBase = `http://127.0.0.1:${port}`
-    const wsUrl = `ws://127.0.0.1:${port}/extension`
+    const { httpBase, wsUrl, isLocal, originPattern } = await getRelayEndpoint()
+
+    // Remote relays need the optional host permission for the preflight below.
+    if (!isLocal && !(await chrome.permissions.contains({ origins: [originPattern] }))) {
+      throw new Error(`Host permission for ${originPattern} not granted (save the relay endpoint in options)`)
+    }
 
     // Fast preflight: is the relay server up?
     try {
@@ -145,14 +681,28 @@ async function ensureRelayConnection() {
     })
 
     ws.onmessage = (event) => void onRelayMessage(String(event.data || ''))
-    ws.onclose = () => onRelayClosed('closed')
-    ws.onerror = () => onRelayClosed('error')
+    ws.onclose = () => {
+      if (relayWs === ws) onRelayClosed('closed')
+    }
+    ws.onerror = () => {
+      if (relayWs === ws) onRelayClosed('error')
+    }
 
-    if (!debuggerListenersInstalled) {
-      debuggerListenersInstalled = true
-      chrome.debugger.onEvent.addListener(onDebuggerEvent)
-      chrome.debugger.onDetach.addListener(onDebuggerDetach)
+    try {
+      await negotiateRelayProtocol()
+      await authenticateRelay()
+    } catch (err) {
+      ws.onclose = null
+      ws.onerror = null
+      ws.close()
+      if (relayWs === ws) relayWs = null
+      throw err
     }
+
+    startRelayKeepalive(ws)
+    if (relayHoldingSessions) await resumeHeldSessions()
+
+    installDebuggerListeners()
   })()
 
   try {
@@ -162,13 +712,432 @@ async function ensureRelayConnection() {
   }
 }
 
+async function buildRelayHello() {
+  const manifest = chrome.runtime.getManifest()
+  const uaData = /** @type {any} */ (navigator).userAgentData
+  const highEntropy = uaData
+    ? await uaData.getHighEntropyValues(['fullVersionList', 'platformVersion']).catch(() => null)
+    : null
+  return {
+    extensionId: chrome.runtime.id,
+    extensionVersion: manifest.version,
+    protocolVersion: PROTOCOL_VERSION,
+    minProtocolVersion: MIN_RELAY_PROTOCOL_VERSION,
+    methods: EXTENSION_METHODS,
+    features: RELAY_FEATURES,
+    browser: {
+      userAgent: navigator.userAgent,
+      brands: highEntropy?.fullVersionList || uaData?.brands || [],
+      platform: uaData?.platform || '',
+      platformVersion: highEntropy?.platformVersion || '',
+    },
+    profile: {
+      id: await getProfileId(),
+      incognito: chrome.extension.inIncognitoContext,
+    },
+  }
+}
+
+async function negotiateRelayProtocol() {
+  relayProtocolVersion = 0
+  relayProtocolMismatch = false
+  const hello = await buildRelayHello()
+  /** @type {any} */
+  let result
+  try {
+    result = await requestFromRelay(
+      { id: nextRelayRequestId++, method: 'hello', params: hello },
+      RELAY_HELLO_TIMEOUT_MS
+    )
+  } catch (err) {
+    // Relays from before the handshake reject or ignore `hello`; talk the unversioned protocol to them.
+    relayProtocolVersion = 1
+    console.warn(
+      '[relay] relay did not answer hello, using protocol 1',
+      JSON.stringify({ error: err instanceof Error ? err.message : String(err) })
+    )
+    return
+  }
+
+  const relayVersion = Number(result?.protocolVersion) || 1
+  const relayMinVersion = Number(result?.minProtocolVersion) || 1
+  if (result?.ok === false || relayVersion < MIN_RELAY_PROTOCOL_VERSION || relayMinVersion > PROTOCOL_VERSION) {
+    relayProtocolMismatch = true
+    setGlobalBadge('error')
+    const detail = result?.reason ? ` (${String(result.reason)})` : ''
+    throw new Error(
+      `Relay protocol ${relayVersion} (min ${relayMinVersion}) is incompatible with extension protocol ` +
+        `${PROTOCOL_VERSION}${detail}`
+    )
+  }
+  relayProtocolVersion = Math.min(relayVersion, PROTOCOL_VERSION)
+  console.warn(
+    '[relay] relay hello',
+    JSON.stringify({
+      protocolVersion: relayProtocolVersion,
+      relayVersion: result?.relayVersion || null,
+      relayProtocolVersion: relayVersion,
+    })
+  )
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+async function hmacHex(token, message) {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey('raw', encoder.encode(token), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ])
+  return toHex(new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message))))
+}
+
+function hexEquals(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  return diff === 0
+}
+
+/**
+ * Mutual challenge-response over the pairing token; the token itself never leaves the extension.
+ * The relay must answer our nonce with HMAC-SHA256(token, `relay:<ours>:<theirs>`) before we
+ * return HMAC-SHA256(token, `extension:<theirs>:<ours>`) and accept commands.
+ */
+async function authenticateRelay() {
+  relayAuthenticated = false
+  const token = await getRelayToken()
+  if (relayProtocolVersion === 1 && !token) {
+    // A pre-handshake relay has no notion of pairing; only allowed when no token is configured.
+    console.warn('[relay] legacy relay without pairing token, skipping auth')
+    relayAuthenticated = true
+    relayAuthFailed = false
+    return
+  }
+  try {
+    if (!token) {
+      // Nothing to prove without a shared secret; the relay may still refuse unpaired clients.
+      const result = await requestFromRelay(
+        { id: nextRelayRequestId++, method: 'auth', params: { scheme: 'none' } },
+        RELAY_AUTH_TIMEOUT_MS
+      )
+      if (result?.ok === false) throw new Error(String(result.reason || 'pairing token required'))
+    } else {
+      const nonce = toHex(crypto.getRandomValues(new Uint8Array(32)))
+      const challenge = await requestFromRelay(
+        { id: nextRelayRequestId++, method: 'auth', params: { scheme: 'hmac-sha256', nonce } },
+        RELAY_AUTH_TIMEOUT_MS
+      )
+      if (challenge?.ok === false) throw new Error(String(challenge.reason || 'pairing rejected'))
+      const relayNonce = challenge?.nonce
+      if (typeof relayNonce !== 'string' || !/^[0-9a-f]{32,}$/i.test(relayNonce) || relayNonce === nonce) {
+        throw new Error('relay sent no usable nonce')
+      }
+      const expected = await hmacHex(token, `relay:${nonce}:${relayNonce}`)
+      if (!hexEquals(String(challenge?.proof || '').toLowerCase(), expected)) {
+        throw new Error('relay could not prove the pairing token')
+      }
+      const proof = await hmacHex(token, `extension:${relayNonce}:${nonce}`)
+      const result = await requestFromRelay(
+        { id: nextRelayRequestId++, method: 'authConfirm', params: { proof } },
+        RELAY_AUTH_TIMEOUT_MS
+      )
+      if (result?.ok === false) throw new Error(String(result.reason || 'token rejected'))
+    }
+  } catch (err) {
+    relayAuthFailed = true
+    setGlobalBadge('authFailed')
+    throw new Error(`Relay authentication failed (${err instanceof Error ? err.message : String(err)})`)
+  }
+  relayAuthenticated = true
+  relayAuthFailed = false
+}
+
+// Chrome keeps the service worker alive while a WebSocket sends or receives a message at
+// least every 30s, so send a keepalive of our own and watch the relay's ping cadence to
+// catch half-open sockets the OS has not reported yet.
+function startRelayKeepalive(ws) {
+  stopRelayKeepalive()
+  lastRelayPingAt = 0
+  keepaliveTimer = setInterval(() => {
+    if (relayWs !== ws) {
+      stopRelayKeepalive()
+      return
+    }
+    if (checkRelayWatchdog()) return
+    try {
+      sendToRelay({ method: 'keepalive' })
+    } catch {
+      // ignore
+    }
+  }, KEEPALIVE_INTERVAL_MS)
+}
+
+function stopRelayKeepalive() {
+  clearInterval(keepaliveTimer)
+  keepaliveTimer = null
+}
+
+/** Returns true when the socket was declared dead. */
+function checkRelayWatchdog() {
+  const ws = relayWs
+  if (!ws || !lastRelayPingAt) return false
+  const silentMs = Date.now() - lastRelayPingAt
+  if (silentMs <= RELAY_PING_TIMEOUT_MS) return false
+  console.warn('[relay] no ping from relay, closing socket', JSON.stringify({ silentMs }))
+  ws.onclose = null
+  ws.onerror = null
+  try {
+    ws.close()
+  } catch {
+    // ignore
+  }
+  onRelayClosed('ping-timeout')
+  return true
+}
+
+function installDebuggerListeners() {
+  if (debuggerListenersInstalled) return
+  debuggerListenersInstalled = true
+  chrome.debugger.onEvent.addListener(onDebuggerEvent)
+  chrome.debugger.onDetach.addListener(onDebuggerDetach)
+}
+
+function schedulePersistRegistry() {
+  if (registryPersistTimer) return
+  registryPersistTimer = setTimeout(() => {
+    registryPersistTimer = null
+    void persistRegistry()
+  }, REGISTRY_PERSIST_DELAY_MS)
+}
+
+async function persistRegistry() {
+  const connected = [...tabs.entries()].filter(([, tab]) => tab.state === 'connected' && tab.sessionId)
+  const snapshot = {
+    nextSession,
+    tabs: connected.map(([tabId, tab]) => [
+      tabId,
+      {
+        sessionId: tab.sessionId,
+        targetId: tab.targetId,
+        attachOrder: tab.attachOrder,
+        browserContextId: tab.browserContextId,
+      },
+    ]),
+    childSessions: [...childSessions.entries()].map(([id, child]) => [
+      id,
+      { ...child, replayState: [...(child.replayState || new Map()).entries()] },
+    ]),
+    childSessionAliases: [...childSessionAliases.entries()],
+    staleSessionToTab: [...staleSessionToTab.entries()],
+    staleTargetToTab: [...staleTargetToTab.entries()],
+    optedInTabs: [...optedInTabs],
+    agentTabs: [...agentTabs],
+    discoverTargets,
+    discoveredTargets: [...discoveredTargets.entries()],
+    tabReplayState: [...tabReplayState.entries()].map(([tabId, state]) => [tabId, [...state.entries()]]),
+    tabLabels: [...tabLabels.entries()],
+    nextReplayScript,
+    nextBrowserContext,
+    browserContexts: [...browserContexts.entries()].map(([id, ctx]) => [id, { ...ctx, windowIds: [...ctx.windowIds] }]),
+  }
+  await chrome.storage.session.set({ [REGISTRY_STORAGE_KEY]: snapshot }).catch((err) => {
+    console.warn('[relay] registry persist failed', String(err))
+  })
+}
+
+function sessionCounterFrom(sessionId) {
+  const m = String(sessionId || '').match(/^cb-tab-(\d+)$/)
+  return m ? Number(m[1]) + 1 : 0
+}
+
+// MV3 drops module state whenever the service worker is suspended. Debugger sessions
+// survive that, so rebuild the routing maps for tabs we are still attached to.
+async function restoreRegistry() {
+  installDebuggerListeners()
+  const stored = await chrome.storage.session.get([REGISTRY_STORAGE_KEY]).catch(() => ({}))
+  const snapshot = stored?.[REGISTRY_STORAGE_KEY]
+  if (!snapshot) return
+
+  let counter = Math.max(nextSession, Number(snapshot.nextSession) || 1)
+  for (const [sessionId] of snapshot.staleSessionToTab || []) {
+    counter = Math.max(counter, sessionCounterFrom(sessionId))
+  }
+
+  for (const [tabId, entry] of snapshot.tabs || []) {
+    counter = Math.max(counter, sessionCounterFrom(entry?.sessionId))
+    if (!entry?.sessionId || tabs.has(tabId)) continue
+    // Only succeeds when this extension still holds the debugger for the tab.
+    const info = /** @type {any} */ (
+      await chrome.debugger.sendCommand({ tabId }, 'Target.getTargetInfo').catch(() => null)
+    )
+    const targetId = String(info?.targetInfo?.targetId || '').trim()
+    if (!targetId) continue
+    if (entry.targetId && entry.targetId !== targetId) {
+      staleTargetToTab.set(entry.targetId, { tabId, expiresAt: Date.now() + STALE_TARGET_TTL_MS })
+    }
+    tabs.set(tabId, {
+      state: 'connected',
+      sessionId: entry.sessionId,
+      targetId,
+      attachOrder: entry.attachOrder,
+      browserContextId: entry.browserContextId,
+    })
+    tabBySession.set(entry.sessionId, tabId)
+  }
+  nextSession = counter
+
+  const now = Date.now()
+  for (const [childSessionId, child] of snapshot.childSessions || []) {
+    if (!tabs.has(child?.tabId)) continue
+    childSessions.set(childSessionId, { ...child, replayState: new Map(child.replayState || []) })
+  }
+  for (const [debuggerSessionId, childSessionId] of snapshot.childSessionAliases || []) {
+    if (childSessions.has(childSessionId)) childSessionAliases.set(debuggerSessionId, childSessionId)
+  }
+  for (const [sessionId, entry] of snapshot.staleSessionToTab || []) {
+    if (entry?.expiresAt > now) staleSessionToTab.set(sessionId, entry)
+  }
+  for (const [targetId, entry] of snapshot.staleTargetToTab || []) {
+    if (entry?.expiresAt > now && !staleTargetToTab.has(targetId)) staleTargetToTab.set(targetId, entry)
+  }
+  for (const tabId of snapshot.optedInTabs || []) optedInTabs.add(tabId)
+  for (const tabId of snapshot.agentTabs || []) agentTabs.add(tabId)
+  discoverTargets = snapshot.discoverTargets === true
+  nextBrowserContext = Math.max(nextBrowserContext, Number(snapshot.nextBrowserContext) || 1)
+  for (const [contextId, ctx] of snapshot.browserContexts || []) {
+    browserContexts.set(contextId, { ...ctx, windowIds: new Set(ctx.windowIds || []) })
+  }
+  for (const [tabId, targetId] of snapshot.discoveredTargets || []) discoveredTargets.set(tabId, targetId)
+  for (const [tabId, entries] of snapshot.tabReplayState || []) tabReplayState.set(tabId, new Map(entries))
+  nextReplayScript = Math.max(nextReplayScript, Number(snapshot.nextReplayScript) || 1)
+  if (snapshot.tabLabels?.length) {
+    // Tabs closed while the worker was suspended never reached tabs.onRemoved.
+    const liveTabIds = new Set((await chrome.tabs.query({}).catch(() => [])).map((tab) => tab.id))
+    for (const [tabId, labels] of snapshot.tabLabels) {
+      if (liveTabIds.has(tabId)) tabLabels.set(tabId, labels)
+    }
+  }
+
+  console.warn('[relay] registry restored', JSON.stringify({ tabs: tabs.size, nextSession }))
+  schedulePersistRegistry()
+  // The relay socket did not survive the restart; hold the sessions until it is back.
+  if (tabs.size > 0) holdSessionsForGracePeriod('worker-restart')
+}
+
 function onRelayClosed(reason) {
   relayWs = null
-  const trackedTabIds = [...tabs.keys()]
+  relayAuthenticated = false
+  relayProtocolVersion = 0
+  stopRelayKeepalive()
   for (const [id, p] of pending.entries()) {
     pending.delete(id)
-    p.reject(new Error(`Relay disconnected (${reason})`))
+    p.reject(createRelayError('RELAY_DISCONNECTED', `Relay disconnected (${reason})`))
+  }
+
+  if (tabs.size === 0 && !relayHoldingSessions) {
+    releaseTabsAfterRelayLoss()
+    return
+  }
+  holdSessionsForGracePeriod(reason)
+}
+
+// Keep debugger sessions (and their cb-tab-N ids) attached for a short while so a
+// relay restart does not cost the controller its session/target mappings.
+function holdSessionsForGracePeriod(reason) {
+  if (!relayHoldingSessions) {
+    relayHoldingSessions = true
+    console.warn(
+      '[relay] relay lost, holding sessions',
+      JSON.stringify({ reason, tabs: tabs.size, graceMs: RELAY_GRACE_MS })
+    )
+  }
+  if (!relayGraceTimer) {
+    relayGraceTimer = setTimeout(() => {
+      relayGraceTimer = null
+      console.warn('[relay] grace period expired, detaching held sessions', JSON.stringify({ reason }))
+      releaseTabsAfterRelayLoss()
+    }, RELAY_GRACE_MS)
+  }
+  for (const tabId of tabs.keys()) {
+    setBadge(tabId, 'connecting')
+    setTabTitle(tabId, 'OpenClaw Browser Relay: relay disconnected (keeping this tab attached while reconnecting)')
+  }
+  setGlobalBadge('connecting')
+  scheduleGraceReconnect()
+}
+
+function scheduleGraceReconnect() {
+  if (relayGraceRetryTimer || !relayGraceTimer) return
+  relayGraceRetryTimer = setTimeout(() => {
+    relayGraceRetryTimer = null
+    if (!relayGraceTimer) return
+    void ensureRelayConnection().catch(() => scheduleGraceReconnect())
+  }, RELAY_GRACE_RETRY_MS)
+}
+
+async function resumeHeldSessions() {
+  clearTimeout(relayGraceTimer)
+  relayGraceTimer = null
+  clearTimeout(relayGraceRetryTimer)
+  relayGraceRetryTimer = null
+
+  let resumed = 0
+  for (const [tabId, tab] of [...tabs.entries()]) {
+    if (tab.state !== 'connected' || !tab.sessionId) continue
+    const info = /** @type {any} */ (
+      await chrome.debugger.sendCommand({ tabId }, 'Target.getTargetInfo').catch(() => null)
+    )
+    const targetInfo = info?.targetInfo
+    if (!targetInfo?.targetId) {
+      await detachTab(tabId, 'relay-resume-lost')
+      continue
+    }
+    if (tab.targetId && tab.targetId !== targetInfo.targetId) {
+      staleTargetToTab.set(tab.targetId, { tabId, expiresAt: Date.now() + STALE_TARGET_TTL_MS })
+      tab.targetId = targetInfo.targetId
+    }
+    sendToRelay({
+      method: 'forwardCDPEvent',
+      params: {
+        method: 'Target.attachedToTarget',
+        params: {
+          sessionId: tab.sessionId,
+          targetInfo: { ...withTargetAliases({ targetInfo }).targetInfo, attached: true },
+          waitingForDebugger: false,
+        },
+      },
+    })
+    setBadge(tabId, 'on')
+    setTabTitle(tabId, 'OpenClaw Browser Relay: attached (auto mode)')
+    resumed += 1
   }
+  schedulePersistRegistry()
+
+  const events = bufferedRelayEvents.splice(0)
+  for (const event of events) sendToRelay(event)
+  console.warn(
+    '[relay] resumed held sessions',
+    JSON.stringify({ resumed, flushedEvents: events.length, droppedEvents: droppedRelayEvents })
+  )
+  droppedRelayEvents = 0
+  relayHoldingSessions = false
+  void syncGlobalBadgeForActiveTab()
+}
+
+function releaseTabsAfterRelayLoss() {
+  clearTimeout(relayGraceRetryTimer)
+  relayGraceRetryTimer = null
+  relayHoldingSessions = false
+  bufferedRelayEvents.length = 0
+  droppedRelayEvents = 0
+  // The next relay connection starts from a clean slate and must opt in to discovery again.
+  discoverTargets = false
+  discoveredTargets.clear()
+  // A new controller sets up its own session state.
+  tabReplayState.clear()
+  const trackedTabIds = [...tabs.keys()]
 
   for (const tabId of trackedTabIds) {
     void chrome.debugger.detach({ tabId }).catch(() => {})
@@ -177,9 +1146,11 @@ function onRelayClosed(reason) {
   }
   tabs.clear()
   tabBySession.clear()
-  childSessionToTab.clear()
+  childSessions.clear()
+  childSessionAliases.clear()
   staleSessionToTab.clear()
   staleTargetToTab.clear()
+  schedulePersistRegistry()
   setGlobalBadge('connecting')
   scheduleReconnectAllTabs()
 }
@@ -192,6 +1163,24 @@ function sendToRelay(payload) {
   ws.send(JSON.stringify(payload))
 }
 
+/** Sends a forwardCDPEvent, buffering it while sessions are held across a relay disconnect. */
+function sendRelayEvent(params) {
+  const payload = { method: 'forwardCDPEvent', params }
+  if (relayHoldingSessions) {
+    if (bufferedRelayEvents.length >= RELAY_EVENT_BUFFER_MAX) {
+      bufferedRelayEvents.shift()
+      droppedRelayEvents += 1
+    }
+    bufferedRelayEvents.push(payload)
+    return
+  }
+  try {
+    sendToRelay(payload)
+  } catch {
+    // ignore
+  }
+}
+
 async function maybeOpenHelpOnce() {
   try {
     const stored = await chrome.storage.local.get(['helpOnErrorShown'])
@@ -203,14 +1192,27 @@ async function maybeOpenHelpOnce() {
   }
 }
 
-function requestFromRelay(command) {
+function requestFromRelay(command, timeoutMs = RELAY_REQUEST_TIMEOUT_MS) {
   const id = command.id
   return new Promise((resolve, reject) => {
-    pending.set(id, { resolve, reject })
+    let timer = null
+    const settle = (fn) => (value) => {
+      clearTimeout(timer)
+      fn(value)
+    }
+    pending.set(id, { resolve: settle(resolve), reject: settle(reject) })
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        pending.delete(id)
+        const message = `Relay did not answer ${command.method} within ${timeoutMs}ms`
+        reject(createRelayError('TIMEOUT', message, { timeoutMs }))
+      }, timeoutMs)
+    }
     try {
       sendToRelay(command)
     } catch (err) {
       pending.delete(id)
+      clearTimeout(timer)
       reject(err instanceof Error ? err : new Error(String(err)))
     }
   })
@@ -226,6 +1228,7 @@ async function onRelayMessage(text) {
   }
 
   if (msg && msg.method === 'ping') {
+    lastRelayPingAt = Date.now()
     try {
       sendToRelay({ method: 'pong' })
     } catch {
@@ -238,59 +1241,342 @@ async function onRelayMessage(text) {
     const p = pending.get(msg.id)
     if (!p) return
     pending.delete(msg.id)
-    if (msg.error) p.reject(new Error(String(msg.error)))
+    if (msg.error) p.reject(new Error(String(msg.error?.message || msg.error)))
     else p.resolve(msg.result)
     return
   }
 
   if (msg && typeof msg.id === 'number' && msg.method === 'forwardCDPCommand') {
+    if (!relayAuthenticated) {
+      sendCommandError(msg.id, createRelayError('NOT_AUTHENTICATED', 'Relay not authenticated'), {})
+      return
+    }
+    /** Per-command details reported next to the result (protocol 2+ relays). */
+    const meta = {}
+    const controller = new AbortController()
+    const method = String(msg.params?.method || '')
+    const timeoutMs = getCommandTimeoutMs(msg)
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          controller.abort(createRelayError('TIMEOUT', `${method} timed out after ${timeoutMs}ms`, { timeoutMs }))
+        }, timeoutMs)
+      : undefined
+    inflightCommands.set(msg.id, controller)
     try {
-      const result = await handleForwardCdpCommand(msg)
-      sendToRelay({ id: msg.id, result })
+      const result = await runQueuedCommand(msg, meta, controller.signal, (queueTabId) =>
+        handleForwardCdpCommand(msg, controller.signal, meta, queueTabId)
+      )
+      sendCommandResponse({ id: msg.id, result }, meta)
     } catch (err) {
-      sendToRelay({ id: msg.id, error: err instanceof Error ? err.message : String(err) })
+      const code = /** @type {any} */ (err)?.code
+      if (code === 'TIMEOUT' || code === 'CANCELLED') {
+        console.warn('[relay] command aborted', JSON.stringify({ id: msg.id, method, code, timeoutMs }))
+      }
+      sendCommandError(msg.id, err, meta)
+    } finally {
+      clearTimeout(timer)
+      inflightCommands.delete(msg.id)
     }
+    return
   }
-}
 
-function getTabBySessionId(sessionId) {
-  const now = Date.now()
-  for (const [id, entry] of staleSessionToTab.entries()) {
-    if (entry.expiresAt <= now) staleSessionToTab.delete(id)
+  if (msg && msg.method === 'cancelCDPCommand') {
+    const targetId = Number(msg.params?.id)
+    const controller = inflightCommands.get(targetId)
+    if (controller) {
+      controller.abort(createRelayError('CANCELLED', `Command ${targetId} cancelled by relay`, { id: targetId }))
+    }
+    if (typeof msg.id === 'number') sendCommandResponse({ id: msg.id, result: { cancelled: Boolean(controller) } }, {})
   }
-  const direct = tabBySession.get(sessionId)
-  if (direct) return { tabId: direct, kind: 'main' }
-  const child = childSessionToTab.get(sessionId)
-  if (child) return { tabId: child, kind: 'child' }
-  const stale = staleSessionToTab.get(sessionId)
-  if (stale) return { tabId: stale.tabId, kind: 'stale-main' }
-  return null
 }
 
-function getTabByTargetId(targetId) {
-  const now = Date.now()
-  for (const [id, entry] of staleTargetToTab.entries()) {
-    if (entry.expiresAt <= now) staleTargetToTab.delete(id)
-  }
-  for (const [tabId, tab] of tabs.entries()) {
-    if (tab.targetId === targetId) return tabId
-  }
-  const stale = staleTargetToTab.get(targetId)
-  if (stale) return stale.tabId
-  return null
+/**
+ * `timeoutMs` in the forwardCDPCommand params overrides the default, capped at MAX_COMMAND_TIMEOUT_MS; null means
+ * no deadline.
+ */
+function getCommandTimeoutMs(msg) {
+  const requested = Number(msg?.params?.timeoutMs)
+  if (!Number.isFinite(requested) || requested <= 0) return defaultCommandTimeoutMs || null
+  return Math.min(Math.round(requested), MAX_COMMAND_TIMEOUT_MS)
 }
 
-function isTabNotFoundError(err) {
-  const message = String(err instanceof Error ? err.message : err || '').toLowerCase()
-  return (
-    message.includes('tab not found') ||
-    message.includes('no tab with given id') ||
-    message.includes('cannot find tab') ||
-    message.includes('no tab with id')
-  )
+async function loadDefaultCommandTimeout() {
+  const stored = await chrome.storage.local.get(['commandTimeoutMs'])
+  const n = Number.parseInt(String(stored.commandTimeoutMs), 10)
+  defaultCommandTimeoutMs =
+    Number.isFinite(n) && n >= 0 ? Math.min(n, MAX_COMMAND_TIMEOUT_MS) : DEFAULT_COMMAND_TIMEOUT_MS
+}
+
+/** Meta fields every relay gets; protocol 1 relays, which predate `meta`, get them as top-level response fields. */
+const LEGACY_META_FIELDS = ['attempts', 'retryClass', 'failover']
+
+function sendCommandResponse(response, meta) {
+  let payload = response
+  if (relayProtocolVersion >= 2) {
+    if (Object.keys(meta).length > 0) payload = { ...response, meta }
+  } else {
+    payload = { ...response }
+    for (const field of LEGACY_META_FIELDS) {
+      if (meta[field] !== undefined) payload[field] = meta[field]
+    }
+  }
+  try {
+    sendToRelay(payload)
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Protocol 3+ relays get `error` as an object, with the plain message repeated in `errorMessage`; older relays keep
+ * the message string plus `errorCode`.
+ */
+function sendCommandError(id, err, meta) {
+  const error = toRelayErrorPayload(err, meta.recovery)
+  if (relayProtocolVersion >= 3) {
+    sendCommandResponse({ id, error, errorMessage: error.message }, meta)
+    return
+  }
+  sendCommandResponse({ id, error: err instanceof Error ? err.message : String(err), errorCode: error.code }, meta)
+}
+
+async function getMaxConcurrentTabs() {
+  if (maxConcurrentTabs) return maxConcurrentTabs
+  const stored = await chrome.storage.local.get(['maxConcurrentTabs'])
+  const n = Number.parseInt(String(stored.maxConcurrentTabs || ''), 10)
+  maxConcurrentTabs = Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_CONCURRENT_TABS
+  return maxConcurrentTabs
+}
+
+function getEffectiveTabLimit() {
+  const limit = maxConcurrentTabs || DEFAULT_MAX_CONCURRENT_TABS
+  if (navigatingTabs.size < NAVIGATION_PRESSURE_TABS) return limit
+  return Math.max(1, Math.ceil(limit / 2))
+}
+
+async function acquireTabSlot(signal) {
+  await getMaxConcurrentTabs()
+  signal?.throwIfAborted()
+  if (activeTabSlots < getEffectiveTabLimit()) {
+    activeTabSlots += 1
+    return
+  }
+  await new Promise((resolve, reject) => {
+    const waiter = () => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }
+    const onAbort = () => {
+      const index = tabSlotWaiters.indexOf(waiter)
+      if (index >= 0) tabSlotWaiters.splice(index, 1)
+      reject(signal.reason)
+    }
+    tabSlotWaiters.push(waiter)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function releaseTabSlot() {
+  activeTabSlots -= 1
+  drainTabSlotWaiters()
+}
+
+function drainTabSlotWaiters() {
+  while (tabSlotWaiters.length > 0 && activeTabSlots < getEffectiveTabLimit()) {
+    activeTabSlots += 1
+    tabSlotWaiters.shift()()
+  }
+}
+
+/**
+ * Queue key for a command, decided synchronously so commands keep their arrival order.
+ * Returns null for browser-level methods.
+ */
+function getCommandQueueKey(msg) {
+  const method = String(msg?.params?.method || '').trim()
+  if (UNQUEUED_METHODS.has(method)) return null
+  const sessionId = typeof msg?.params?.sessionId === 'string' ? msg.params.sessionId : ''
+  const targetId = typeof msg?.params?.params?.targetId === 'string' ? msg.params.params.targetId : ''
+  const tabId = (sessionId && getTabBySessionId(sessionId)?.tabId) || (targetId && getTabByTargetId(targetId))
+  if (tabId) return `tab:${tabId}`
+  if (sessionId) return `session:${sessionId}`
+  if (targetId) return `target:${targetId}`
+  const defaultTabId = getQueuedDefaultTabId()
+  return defaultTabId ? `tab:${defaultTabId}` : 'default'
+}
+
+/** Synchronous counterpart of getDefaultConnectedTabId: the focused tab if attached, else the first attached tab. */
+function getQueuedDefaultTabId() {
+  if (focusedTabId && tabs.get(focusedTabId)?.state === 'connected') return focusedTabId
+  for (const [id, tab] of tabs.entries()) {
+    if (tab.state === 'connected') return id
+  }
+  return null
+}
+
+/**
+ * Waits for the turn on queue `key`. Resolves with the queue depth seen on arrival and `leave`, which ends the
+ * turn; when the wait is aborted the turn is given up before rethrowing.
+ * @returns {Promise<{depth:number, leave:() => void}>}
+ */
+async function takeQueueTurn(key, signal) {
+  const depth = commandQueueDepths.get(key) || 0
+  commandQueueDepths.set(key, depth + 1)
+  const previous = commandQueueTails.get(key) || Promise.resolve()
+  /** @type {() => void} */
+  let releaseTurn = () => {}
+  const turn = new Promise((resolve) => (releaseTurn = resolve))
+  const tail = previous.then(() => turn)
+  commandQueueTails.set(key, tail)
+  const leave = () => {
+    releaseTurn()
+    const remaining = (commandQueueDepths.get(key) || 1) - 1
+    if (remaining > 0) {
+      commandQueueDepths.set(key, remaining)
+    } else {
+      commandQueueDepths.delete(key)
+      if (commandQueueTails.get(key) === tail) commandQueueTails.delete(key)
+    }
+  }
+  try {
+    await raceWithSignal(previous, signal)
+  } catch (err) {
+    leave()
+    throw err
+  }
+  return { depth, leave }
+}
+
+/**
+ * Ends a queue turn once `work` and any debugger send Chrome is still running for `signal` have settled, so the
+ * next command does not overlap them, but never later than ABANDONED_TURN_GRACE_MS: an awaitPromise that never
+ * settles must not block the tab.
+ */
+function leaveTurnWhenSettled(leave, work, signal) {
+  void (async () => {
+    const settled = (async () => {
+      if (work) await work.catch(() => {})
+      await settleDebuggerSends(signal)
+    })()
+    let graceTimer
+    const grace = new Promise((resolve) => (graceTimer = setTimeout(resolve, ABANDONED_TURN_GRACE_MS)))
+    await Promise.race([settled, grace])
+    clearTimeout(graceTimer)
+    leave()
+  })()
+}
+
+/**
+ * Runs one command per tab at a time (FIFO) and at most `maxConcurrentTabs` tabs at once.
+ * Fills `meta.queue` with the queue depth seen on arrival and the time spent waiting. `run` gets the tab whose
+ * queue the command holds (null for unqueued commands), which is where an unaddressed command must run.
+ */
+async function runQueuedCommand(msg, meta, signal, run) {
+  const key = getCommandQueueKey(msg)
+  if (!key) return await raceWithSignal(run(null), signal)
+
+  const enqueuedAt = Date.now()
+  const queueTabId = key.startsWith('tab:') ? Number(key.slice(4)) : null
+  /** @type {{depth:number, leave:() => void}|null} */
+  let queueTurn = null
+  let hasSlot = false
+  /** @type {Promise<any>|null} */
+  let work = null
+  try {
+    queueTurn = await takeQueueTurn(key, signal)
+    const depth = queueTurn.depth
+    await acquireTabSlot(signal)
+    hasSlot = true
+    const waitMs = Date.now() - enqueuedAt
+    meta.queue = { key, depth, waitMs, activeTabs: activeTabSlots, tabLimit: getEffectiveTabLimit() }
+    if (waitMs >= QUEUE_WAIT_LOG_MS) {
+      console.warn('[relay] command waited in queue', JSON.stringify({ method: msg?.params?.method, ...meta.queue }))
+    }
+    work = run(queueTabId)
+    return await raceWithSignal(work, signal)
+  } finally {
+    // On timeout/cancel the relay is answered and the cross-tab slot freed right away; the tab's turn lasts until
+    // the abandoned work settles (bounded by the grace period).
+    if (hasSlot) releaseTabSlot()
+    if (queueTurn) leaveTurnWhenSettled(queueTurn.leave, work, signal)
+  }
+}
+
+/** The targetId the relay sees for a tab. Chrome's own id changes on cross-process navigation; this does not. */
+function getTargetAlias(tabId) {
+  return `cb-target-${tabId}`
+}
+
+/** @returns {number|null} */
+function parseTargetAlias(targetId) {
+  const m = String(targetId || '').match(/^cb-target-(\d+)$/)
+  return m ? Number(m[1]) : null
+}
+
+/** Rewrites Chrome targetIds of tracked tabs in an event or command result to their aliases. */
+function withTargetAliases(value) {
+  if (!value || typeof value !== 'object') return value
+  const toAlias = (targetId) => {
+    const tabId = typeof targetId === 'string' ? getTabByTargetId(targetId) : null
+    return tabId ? getTargetAlias(tabId) : targetId
+  }
+  const aliasInfo = (info) => ({
+    ...info,
+    targetId: toAlias(info.targetId),
+    ...(info.openerId ? { openerId: toAlias(info.openerId) } : {}),
+  })
+  let out = value
+  if (typeof value.targetId === 'string') out = { ...out, targetId: toAlias(value.targetId) }
+  if (value.targetInfo?.targetId) out = { ...out, targetInfo: aliasInfo(value.targetInfo) }
+  if (Array.isArray(value.targetInfos)) out = { ...out, targetInfos: value.targetInfos.map(aliasInfo) }
+  return out
+}
+
+function getTabBySessionId(sessionId) {
+  const now = Date.now()
+  for (const [id, entry] of staleSessionToTab.entries()) {
+    if (entry.expiresAt <= now) staleSessionToTab.delete(id)
+  }
+  for (const [id, child] of childSessions.entries()) {
+    if (child.orphanedAt && child.orphanedAt + STALE_SESSION_TTL_MS <= now) childSessions.delete(id)
+  }
+  const direct = tabBySession.get(sessionId)
+  if (direct) return { tabId: direct, kind: 'main' }
+  const child = childSessions.get(sessionId)
+  if (child) return { tabId: child.tabId, kind: child.debuggerSessionId ? 'child' : 'stale-child' }
+  const stale = staleSessionToTab.get(sessionId)
+  if (stale) return { tabId: stale.tabId, kind: 'stale-main' }
+  return null
+}
+
+function getTabByTargetId(targetId) {
+  const aliasTabId = parseTargetAlias(targetId)
+  if (aliasTabId !== null) return tabs.has(aliasTabId) || discoveredTargets.has(aliasTabId) ? aliasTabId : null
+  const now = Date.now()
+  for (const [id, entry] of staleTargetToTab.entries()) {
+    if (entry.expiresAt <= now) staleTargetToTab.delete(id)
+  }
+  for (const [tabId, tab] of tabs.entries()) {
+    if (tab.targetId === targetId) return tabId
+  }
+  const stale = staleTargetToTab.get(targetId)
+  if (stale) return stale.tabId
+  return null
+}
+
+function isTabNotFoundError(err) {
+  if (err?.code === 'TAB_NOT_FOUND') return true
+  const message = String(err instanceof Error ? err.message : err || '').toLowerCase()
+  return (
+    message.includes('tab not found') ||
+    message.includes('no tab with given id') ||
+    message.includes('cannot find tab') ||
+    message.includes('no tab with id')
+  )
 }
 
 function isDebuggerDetachedError(err) {
+  if (err?.code === 'DETACHED') return true
   const message = String(err instanceof Error ? err.message : err || '').toLowerCase()
   return (
     message.includes('debugger is not attached') ||
@@ -301,6 +1587,13 @@ function isDebuggerDetachedError(err) {
   )
 }
 
+/** Failures where Chrome never delivered the command to the page, so even a state-mutating command can be re-sent. */
+function isUndeliveredCommandError(err) {
+  if (isTabNotFoundError(err)) return true
+  const message = String(err instanceof Error ? err.message : err || '').toLowerCase()
+  return message.includes('debugger is not attached')
+}
+
 function isRecoverableDebuggerCommandError(err) {
   return isTabNotFoundError(err) || isDebuggerDetachedError(err)
 }
@@ -316,6 +1609,73 @@ function isReadOrSnapshotLikeMethod(method) {
   )
 }
 
+/** Methods that must never run on a different tab than the one they were meant for: input and navigation. */
+function isStrictByDefault(method) {
+  if (method.startsWith('Input.')) return true
+  return ['Page.navigate', 'Page.reload', 'Page.navigateToHistoryEntry'].includes(method)
+}
+
+function getDefaultRetryClass(method) {
+  const [domain, command = ''] = method.split('.')
+  if (domain === 'Input' || method === 'Page.handleJavaScriptDialog') return 'never'
+  if (isReadOrSnapshotLikeMethod(method)) return 'read'
+  if (/^(get|describe|query|capture|search|resolve|print)/.test(command)) return 'read'
+  if (/^(enable|disable|set|clear)/.test(command)) return 'safe'
+  return 'mutating'
+}
+
+/** Parses `Method.name = class` lines; `*` in the method is a wildcard. Invalid lines are skipped. */
+function parseRetryRules(lines) {
+  const rules = []
+  for (const line of toRuleList(lines)) {
+    const m = line.trim().match(/^([\w.*]+)\s*=\s*(\w+)$/)
+    if (!m || !RETRY_CLASSES.includes(m[2])) continue
+    const re = globToRegExp(m[1])
+    rules.push({ test: (method) => re.test(method), retryClass: m[2] })
+  }
+  return rules
+}
+
+function parseRetryNumber(raw, fallback, max = Infinity) {
+  const n = Number.parseInt(String(raw), 10)
+  if (!Number.isFinite(n) || n < 0) return fallback
+  return Math.min(n, max)
+}
+
+async function getRetryPolicy() {
+  if (retryPolicy) return retryPolicy
+  const stored = await chrome.storage.local.get(['retryRules', 'retryLimits', 'retryBackoffMs'])
+  const limits = { ...DEFAULT_RETRY_LIMITS }
+  for (const retryClass of ['safe', 'read', 'mutating']) {
+    limits[retryClass] = parseRetryNumber(stored.retryLimits?.[retryClass], limits[retryClass], MAX_RETRIES)
+  }
+  retryPolicy = {
+    rules: parseRetryRules(stored.retryRules || []),
+    limits,
+    backoffMs: parseRetryNumber(stored.retryBackoffMs, DEFAULT_RETRY_BACKOFF_MS, MAX_RETRY_BACKOFF_MS),
+  }
+  return retryPolicy
+}
+
+/**
+ * Retry class and limits for one command: the envelope's `retry` ({class, retries, backoffMs}) wins over the
+ * options rules, which win over the built-in classification.
+ * @returns {Promise<{retryClass:string, retries:number, backoffMs:number}>}
+ */
+async function getCommandRetryPolicy(method, override) {
+  const policy = await getRetryPolicy()
+  if (override?.class !== undefined && !RETRY_CLASSES.includes(override.class)) {
+    throw createRelayError('INVALID_PARAMS', `retry.class must be one of ${RETRY_CLASSES.join(', ')}`)
+  }
+  const retryClass =
+    override?.class || policy.rules.find((rule) => rule.test(method))?.retryClass || getDefaultRetryClass(method)
+  return {
+    retryClass,
+    retries: retryClass === 'never' ? 0 : parseRetryNumber(override?.retries, policy.limits[retryClass], MAX_RETRIES),
+    backoffMs: parseRetryNumber(override?.backoffMs, policy.backoffMs, MAX_RETRY_BACKOFF_MS),
+  }
+}
+
 function normalizeUrlForCompare(url) {
   const raw = String(url || '').trim()
   if (!raw) return ''
@@ -328,7 +1688,7 @@ function normalizeUrlForCompare(url) {
   }
 }
 
-async function waitForTabComplete(tabId, timeoutMs = 8000) {
+async function waitForTabComplete(tabId, timeoutMs = 8000, signal = undefined) {
   return await new Promise((resolve) => {
     let done = false
     const finish = () => {
@@ -336,6 +1696,7 @@ async function waitForTabComplete(tabId, timeoutMs = 8000) {
       done = true
       clearTimeout(timer)
       chrome.tabs.onUpdated.removeListener(onUpdated)
+      signal?.removeEventListener('abort', finish)
       resolve()
     }
     const onUpdated = (updatedTabId, changeInfo) => {
@@ -343,6 +1704,7 @@ async function waitForTabComplete(tabId, timeoutMs = 8000) {
       if (changeInfo.status === 'complete') finish()
     }
     const timer = setTimeout(finish, timeoutMs)
+    signal?.addEventListener('abort', finish, { once: true })
     chrome.tabs.onUpdated.addListener(onUpdated)
     void chrome.tabs
       .get(tabId)
@@ -353,18 +1715,92 @@ async function waitForTabComplete(tabId, timeoutMs = 8000) {
   })
 }
 
-async function recoverTabByUrlRenavigate(tabId, expectedUrl, source = 'url-guard') {
+/** Splits `pattern = mode` lines; lines with an unknown mode are skipped. */
+function parseUrlGuardRules(lines, compile) {
+  const rules = []
+  for (const line of toRuleList(lines)) {
+    const m = line.trim().match(/^(.*\S)\s*=\s*(\w+)$/)
+    if (!m || !URL_GUARD_MODES.includes(m[2])) continue
+    const test = compile(m[1])
+    if (test) rules.push({ test, mode: m[2] })
+  }
+  return rules
+}
+
+async function getUrlGuardPolicy() {
+  if (urlGuardPolicy) return urlGuardPolicy
+  const stored = await chrome.storage.local.get(['urlGuardMode', 'urlGuardOriginRules', 'urlGuardMethodRules'])
+  urlGuardPolicy = {
+    mode: URL_GUARD_MODES.includes(stored.urlGuardMode) ? stored.urlGuardMode : 'off',
+    origins: parseUrlGuardRules(stored.urlGuardOriginRules || [], compileUrlRule),
+    methods: parseUrlGuardRules(stored.urlGuardMethodRules || [], (pattern) => {
+      const re = globToRegExp(pattern)
+      return (method) => re.test(method)
+    }),
+  }
+  return urlGuardPolicy
+}
+
+/**
+ * URL guard mode for a failed command: a method rule wins, then an origin rule for the expected URL, then the
+ * default mode. Without a method rule only read/snapshot-like methods are guarded.
+ */
+async function getUrlGuardMode(method, expectedUrl) {
+  const policy = await getUrlGuardPolicy()
+  const byMethod = policy.methods.find((rule) => rule.test(method))
+  if (byMethod) return byMethod.mode
+  if (!isReadOrSnapshotLikeMethod(method)) return 'off'
+  let parsed
+  try {
+    parsed = new URL(expectedUrl)
+  } catch {
+    return policy.mode
+  }
+  return policy.origins.find((rule) => rule.test(parsed))?.mode || policy.mode
+}
+
+/**
+ * Whether the page at `url` came from a form submission (usually a POST), which a reload or re-navigation could
+ * resubmit or lose. Unreadable history, or a URL missing from it, counts as form-backed.
+ */
+async function isFormBackedNavigation(tabId, url) {
+  let history
+  try {
+    history = await sendDebuggerCommand({ tabId }, 'Page.getNavigationHistory')
+  } catch {
+    return true
+  }
+  const entries = Array.isArray(history?.entries) ? history.entries : []
+  const target = normalizeUrlForCompare(url)
+  let index = Math.min(Number(history?.currentIndex) || 0, entries.length - 1)
+  while (index >= 0) {
+    const entry = entries[index]
+    if (normalizeUrlForCompare(entry?.url || '') === target) return entry.transitionType === 'form_submit'
+    index -= 1
+  }
+  return true
+}
+
+async function recoverTabByUrlRenavigate(tabId, expectedUrl, source = 'url-guard', signal = undefined) {
   const normalizedExpected = normalizeUrlForCompare(expectedUrl)
-  if (!normalizedExpected || !canAttachToUrl(expectedUrl)) return false
+  if (!normalizedExpected || !(await isUrlAllowedForAttach(expectedUrl))) return false
   const liveTab = await chrome.tabs.get(tabId).catch(() => null)
   if (!liveTab?.id) return false
+  signal?.throwIfAborted()
+  if (tabs.get(tabId)?.state !== 'connected') await ensureAttachedToTabId(tabId, `${source}-history`)
+  if (await isFormBackedNavigation(tabId, expectedUrl)) {
+    console.warn('[relay] url guard skipped form-backed page', JSON.stringify({ source, tabId, expectedUrl }))
+    return false
+  }
+  signal?.throwIfAborted()
   const normalizedLive = normalizeUrlForCompare(liveTab.url || '')
   if (normalizedLive !== normalizedExpected) {
     await chrome.tabs.update(tabId, { url: expectedUrl }).catch(() => null)
   } else {
     await chrome.tabs.reload(tabId).catch(() => null)
   }
-  await waitForTabComplete(tabId, 8000)
+  await waitForTabComplete(tabId, 8000, signal)
+  signal?.throwIfAborted()
   await ensureAttachedToTabId(tabId, `${source}-reattach`)
   await refreshTabTargetInfo(tabId, `${source}-post-nav`)
   return tabs.get(tabId)?.state === 'connected'
@@ -406,10 +1842,194 @@ async function resolveLiveTabIdForCommand(initialTabId, opts = {}) {
   return null
 }
 
+/**
+ * Key under which a successful command is kept in tabReplayState, so a later call replaces an earlier one.
+ * Returns { remove } for commands that undo recorded state, or null for commands that are not recorded.
+ * @returns {{key:string}|{remove:string}|null}
+ */
+function getReplayStateKey(method, params, result) {
+  const [domain, command = ''] = method.split('.')
+  if (command === 'enable') return { key: method }
+  if (command === 'disable') return { remove: `${domain}.enable` }
+  if (domain === 'Emulation' && command.startsWith('set')) return { key: method }
+  if (domain === 'Emulation' && command.startsWith('clear')) return { remove: `Emulation.set${command.slice(5)}` }
+  if (REPLAYED_STATE_METHODS.has(method)) return { key: method }
+  if (method === 'Runtime.addBinding') return { key: `${method}:${params?.name}` }
+  if (method === 'Runtime.removeBinding') return { remove: `Runtime.addBinding:${params?.name}` }
+  if (method === 'Page.addScriptToEvaluateOnNewDocument' && result?.identifier) {
+    return { key: `${method}:cb-script-${nextReplayScript++}` }
+  }
+  if (method === 'Page.removeScriptToEvaluateOnNewDocument') {
+    return { remove: `Page.addScriptToEvaluateOnNewDocument:${params?.identifier}` }
+  }
+  return null
+}
+
+/** Recorded state of a tab's top-level session, or of one of its child sessions. */
+function getReplayState(tabId, childSessionId) {
+  return childSessionId ? childSessions.get(childSessionId)?.replayState : tabReplayState.get(tabId)
+}
+
+/**
+ * Records a successful command and returns its result. Injected scripts get a `cb-script-N` identifier
+ * instead of Chrome's, which changes every time the script is replayed into a new session.
+ */
+function recordTabState(tabId, method, params, result, childSessionId = undefined) {
+  const entry = getReplayStateKey(method, params, result)
+  if (!entry) return result
+  const child = childSessionId ? childSessions.get(childSessionId) : null
+  if (childSessionId && !child) return result
+  const state = getReplayState(tabId, childSessionId) || new Map()
+  if ('remove' in entry) {
+    if (!state.delete(entry.remove)) return result
+  } else {
+    // Re-inserting moves the entry to the end so replay keeps the controller's order.
+    state.delete(entry.key)
+    state.set(entry.key, { method, params, ...(result?.identifier ? { identifier: String(result.identifier) } : {}) })
+  }
+  if (child) child.replayState = state
+  else if (state.size > 0) tabReplayState.set(tabId, state)
+  else tabReplayState.delete(tabId)
+  schedulePersistRegistry()
+  if (method !== 'Page.addScriptToEvaluateOnNewDocument' || !('key' in entry)) return result
+  return { ...result, identifier: entry.key.slice(method.length + 1) }
+}
+
+/**
+ * Rewrites relay-side ids in command params to the current debugger's: `cb-script-N` script identifiers,
+ * and child session ids that were re-established under a new debugger session. Lifecycle events stay on for a tab's
+ * top-level session; the controller's setting only decides whether they are forwarded.
+ */
+function mapRelayIdsInParams(tabId, method, params, childSessionId = undefined) {
+  if (method === 'Page.setLifecycleEventsEnabled' && !childSessionId) return { ...params, enabled: true }
+  if (method === 'Page.removeScriptToEvaluateOnNewDocument') {
+    const key = `Page.addScriptToEvaluateOnNewDocument:${params?.identifier}`
+    const entry = getReplayState(tabId, childSessionId)?.get(key)
+    return entry?.identifier ? { ...params, identifier: entry.identifier } : params
+  }
+  const aliasTabId = parseTargetAlias(params?.targetId)
+  if (aliasTabId !== null && tabs.get(aliasTabId)?.targetId) {
+    return { ...params, targetId: tabs.get(aliasTabId)?.targetId }
+  }
+  const child = typeof params?.sessionId === 'string' ? childSessions.get(params.sessionId) : null
+  if (child?.debuggerSessionId && child.debuggerSessionId !== params.sessionId) {
+    return { ...params, sessionId: child.debuggerSessionId }
+  }
+  return params
+}
+
+/** @returns {Promise<Array<{method:string, error:string}>>} the entries that failed */
+async function replaySessionState(debuggee, state) {
+  const failed = []
+  for (const entry of state.values()) {
+    const params =
+      entry.method === 'Page.setLifecycleEventsEnabled' && !debuggee.sessionId ? { enabled: true } : entry.params
+    try {
+      const result = /** @type {any} */ (await chrome.debugger.sendCommand(debuggee, entry.method, params))
+      if (result?.identifier) entry.identifier = String(result.identifier)
+    } catch (err) {
+      failed.push({ method: entry.method, error: err instanceof Error ? err.message : String(err) })
+    }
+  }
+  schedulePersistRegistry()
+  return failed
+}
+
+/** Whether the controller turned on Page.lifecycleEvent for the tab's top-level session. */
+function isLifecycleForwarded(tabId) {
+  return tabReplayState.get(tabId)?.get('Page.setLifecycleEventsEnabled')?.params?.enabled === true
+}
+
+async function replayTabState(tabId) {
+  const state = tabReplayState.get(tabId)
+  if (!state?.size) return
+  const failed = await replaySessionState({ tabId }, state)
+  console.warn('[relay] replayed tab state', JSON.stringify({ tabId, replayed: state.size - failed.length, failed }))
+}
+
+/**
+ * Tracks a child announced by Target.attachedToTarget. A child of the same target that was orphaned by a
+ * re-attach keeps its old session id towards the relay. Returns the event params to forward.
+ */
+function onChildAttached(tabId, params) {
+  const debuggerSessionId = String(params.sessionId)
+  const targetInfo = params.targetInfo || {}
+  let childSessionId = debuggerSessionId
+  for (const [id, child] of childSessions.entries()) {
+    if (child.tabId === tabId && !child.debuggerSessionId && child.targetInfo?.targetId === targetInfo.targetId) {
+      childSessionId = id
+      break
+    }
+  }
+  const previous = childSessions.get(childSessionId)
+  childSessions.set(childSessionId, {
+    tabId,
+    debuggerSessionId,
+    targetInfo,
+    ...(previous?.replayState ? { replayState: previous.replayState } : {}),
+  })
+  schedulePersistRegistry()
+  if (childSessionId === debuggerSessionId) {
+    if (discoverTargets) sendRelayEvent({ method: 'Target.targetCreated', params: withTargetAliases({ targetInfo }) })
+    return params
+  }
+
+  childSessionAliases.set(debuggerSessionId, childSessionId)
+  console.warn(
+    '[relay] child session re-established',
+    JSON.stringify({ tabId, sessionId: childSessionId, debuggerSessionId, type: targetInfo.type })
+  )
+  if (previous?.replayState?.size) {
+    void replaySessionState({ tabId, sessionId: debuggerSessionId }, previous.replayState)
+  }
+  return { ...params, sessionId: childSessionId }
+}
+
+/** Returns the event params to forward, with the relay's session id for the child. */
+function onChildDetached(params) {
+  const debuggerSessionId = String(params.sessionId)
+  const childSessionId = childSessionAliases.get(debuggerSessionId) || debuggerSessionId
+  childSessionAliases.delete(debuggerSessionId)
+  const child = childSessions.get(childSessionId)
+  // An orphaned child is waiting to be re-established; its detach was already implied by the tab's.
+  if (child?.debuggerSessionId === debuggerSessionId) {
+    childSessions.delete(childSessionId)
+    schedulePersistRegistry()
+    if (discoverTargets && child.targetInfo?.targetId) {
+      sendRelayEvent({ method: 'Target.targetDestroyed', params: { targetId: child.targetInfo.targetId } })
+    }
+  }
+  return childSessionId === debuggerSessionId ? params : { ...params, sessionId: childSessionId }
+}
+
+/** Resolves the current debugger session of a child, waiting briefly for one that is being re-established. */
+async function waitForChildSession(childSessionId, timeoutMs = CHILD_SESSION_WAIT_MS, signal = undefined) {
+  const deadline = Date.now() + timeoutMs
+  while (childSessions.has(childSessionId) && Date.now() < deadline) {
+    const debuggerSessionId = childSessions.get(childSessionId)?.debuggerSessionId
+    if (debuggerSessionId) return debuggerSessionId
+    await new Promise((r) => setTimeout(r, 50))
+    signal?.throwIfAborted()
+  }
+  return childSessions.get(childSessionId)?.debuggerSessionId || null
+}
+
+/** @returns {any[]} targetInfos of the live children of attached tabs */
+function listChildTargetInfos() {
+  const infos = []
+  for (const child of childSessions.values()) {
+    if (!child.debuggerSessionId || !child.targetInfo?.targetId) continue
+    if (tabs.get(child.tabId)?.state !== 'connected') continue
+    infos.push({ ...withTargetAliases({ targetInfo: child.targetInfo }).targetInfo, attached: true })
+  }
+  return infos
+}
+
 async function attachTab(tabId, opts = {}) {
   const debuggee = { tabId }
   await chrome.debugger.attach(debuggee, '1.3')
   await chrome.debugger.sendCommand(debuggee, 'Page.enable').catch(() => {})
+  await chrome.debugger.sendCommand(debuggee, 'Page.setLifecycleEventsEnabled', { enabled: true }).catch(() => {})
 
   const info = /** @type {any} */ (await chrome.debugger.sendCommand(debuggee, 'Target.getTargetInfo'))
   const targetInfo = info?.targetInfo
@@ -420,197 +2040,976 @@ async function attachTab(tabId, opts = {}) {
 
   const sessionId = `cb-tab-${nextSession++}`
   const attachOrder = nextSession
+  const chromeTab = await chrome.tabs.get(tabId).catch(() => null)
+  const browserContextId = getBrowserContextIdForWindow(chromeTab?.windowId)
 
-  tabs.set(tabId, { state: 'connected', sessionId, targetId, attachOrder })
+  tabs.set(tabId, { state: 'connected', sessionId, targetId, attachOrder, browserContextId })
   tabBySession.set(sessionId, tabId)
+  schedulePersistRegistry()
   setTabTitle(tabId, 'OpenClaw Browser Relay: attached (auto mode)')
+  Object.assign(targetInfo, withTargetAliases({ targetInfo }).targetInfo, { browserContextId })
+  const targetAlias = targetInfo.targetId
+
+  if (opts.announceCreated && discoveredTargets.get(tabId) !== targetAlias) {
+    if (discoverTargets) discoveredTargets.set(tabId, targetAlias)
+    sendRelayEvent({ method: 'Target.targetCreated', params: { targetInfo: { ...targetInfo, attached: false } } })
+  }
+
+  if (!opts.skipAttachedEvent) {
+    sendRelayEvent({
+      method: 'Target.attachedToTarget',
+      params: {
+        sessionId,
+        targetInfo: { ...targetInfo, attached: true },
+        waitingForDebugger: false,
+      },
+    })
+  }
+  // After the attach event, so events caused by the replay arrive on a session the relay knows.
+  await replayTabState(tabId)
+
+  setBadge(tabId, 'on')
+  void syncGlobalBadgeForActiveTab()
+  void syncDiscoveredTarget(tabId)
+  return { sessionId, targetId: targetAlias }
+}
+
+async function refreshTabTargetInfo(tabId, source = 'unknown') {
+  const tabState = tabs.get(tabId)
+  if (!tabState || tabState.state !== 'connected') return
+  try {
+    const info = /** @type {any} */ (await chrome.debugger.sendCommand({ tabId }, 'Target.getTargetInfo'))
+    const newTargetId = String(info?.targetInfo?.targetId || '').trim()
+    if (!newTargetId || tabState.targetId === newTargetId) return
+    const oldTargetId = tabState.targetId || ''
+    if (oldTargetId) {
+      staleTargetToTab.set(oldTargetId, {
+        tabId,
+        expiresAt: Date.now() + STALE_TARGET_TTL_MS,
+      })
+    }
+    tabState.targetId = newTargetId
+    tabs.set(tabId, tabState)
+    schedulePersistRegistry()
+    console.warn(
+      '[relay] targetId refreshed',
+      JSON.stringify({ source, tabId, oldTargetId: oldTargetId || null, newTargetId })
+    )
+  } catch (err) {
+    if (isRecoverableDebuggerCommandError(err)) {
+      await detachTab(tabId, `target-refresh-failed:${source}`)
+    }
+  }
+}
+
+async function refreshConnectedTargetInfos(source = 'unknown') {
+  const tasks = []
+  for (const [tabId, tabState] of tabs.entries()) {
+    if (tabState.state !== 'connected') continue
+    tasks.push(refreshTabTargetInfo(tabId, source))
+  }
+  if (tasks.length === 0) return
+  await Promise.allSettled(tasks)
+}
+
+async function detachTab(tabId, reason) {
+  const tab = tabs.get(tabId)
+  if (tab?.sessionId) {
+    staleSessionToTab.set(tab.sessionId, {
+      tabId,
+      expiresAt: Date.now() + STALE_SESSION_TTL_MS,
+    })
+  }
+  if (tab?.targetId) {
+    staleTargetToTab.set(tab.targetId, {
+      tabId,
+      expiresAt: Date.now() + STALE_TARGET_TTL_MS,
+    })
+  }
+  if (tab?.sessionId && tab?.targetId) {
+    sendRelayEvent({
+      method: 'Target.detachedFromTarget',
+      params: { sessionId: tab.sessionId, targetId: getTargetAlias(tabId), reason },
+    })
+  }
+
+  if (tab?.sessionId) tabBySession.delete(tab.sessionId)
+  tabs.delete(tabId)
+  pageStates.delete(tabId)
+
+  // Children come back with new debugger sessions once the tab is re-attached and auto-attach is replayed.
+  const orphanedAt = Date.now()
+  for (const [childSessionId, child] of childSessions.entries()) {
+    if (child.tabId !== tabId) continue
+    childSessionAliases.delete(child.debuggerSessionId)
+    childSessions.set(childSessionId, { ...child, debuggerSessionId: '', orphanedAt })
+  }
+  schedulePersistRegistry()
+
+  try {
+    await chrome.debugger.detach({ tabId })
+  } catch {
+    // ignore
+  }
+
+  setBadge(tabId, 'off')
+  void syncGlobalBadgeForActiveTab()
+  void syncDiscoveredTarget(tabId)
+  setTabTitle(tabId, 'OpenClaw Browser Relay: waiting for auto-attach')
+}
+
+async function ensureAttachedToTabId(tabId, source = 'auto') {
+  if (!tabId) return
+  await registryRestored
+  const tab = await chrome.tabs.get(tabId).catch(() => null)
+  if (!tab?.id) return
+  if (!(await isUrlAllowedForAttach(tab.url || ''))) return
+  if (!(await isTabInAttachMode(tab))) return
+  await withdrawnTabsLoaded
+  if (withdrawnTabs.has(tab.id)) return
+
+  const existing = tabs.get(tab.id)
+  if (existing?.state === 'connecting' || existing?.state === 'connected') return
+
+  tabs.set(tab.id, { state: 'connecting' })
+  setBadge(tab.id, 'connecting')
+  void syncGlobalBadgeForActiveTab()
+  setTabTitle(tab.id, 'OpenClaw Browser Relay: auto-attaching...')
+
+  try {
+    await ensureRelayConnection()
+    await attachTab(tab.id)
+    reconnectAttempt = 0
+  } catch (err) {
+    tabs.delete(tab.id)
+    setBadge(tab.id, relayAuthFailed ? 'authFailed' : 'error')
+    void syncGlobalBadgeForActiveTab()
+    let title = 'OpenClaw Browser Relay: relay not running (open options for setup)'
+    if (relayAuthFailed) title = 'OpenClaw Browser Relay: relay pairing failed (check the token in options)'
+    else if (relayProtocolMismatch) {
+      title = 'OpenClaw Browser Relay: relay version incompatible (update extension or Gateway)'
+    }
+    setTabTitle(tab.id, title)
+    void maybeOpenHelpOnce()
+    const message = err instanceof Error ? err.message : String(err)
+    console.warn(`auto-attach failed (${source})`, message, nowStack())
+    scheduleReconnectAllTabs()
+  }
+}
+
+async function ensureAttachedForActiveTab(source = 'auto') {
+  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
+  if (!active?.id) return
+  if (source === 'click') {
+    optedInTabs.add(active.id)
+    schedulePersistRegistry()
+    await reenableWithdrawnTabs([active.id], source)
+    return
+  }
+  await ensureAttachedToTabId(active.id, source)
+}
+
+async function ensureAttachedForAllTabs(source = 'auto') {
+  const allTabs = await chrome.tabs.query({})
+  const tasks = []
+  for (const tab of allTabs) {
+    if (!tab?.id) continue
+    tasks.push(ensureAttachedToTabId(tab.id, source))
+  }
+  if (tasks.length === 0) return
+  await Promise.allSettled(tasks)
+}
+
+async function getDefaultConnectedTabId() {
+  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
+  if (active?.id && tabs.get(active.id)?.state === 'connected') {
+    return active.id
+  }
+
+  for (const [id, tab] of tabs.entries()) {
+    if (tab.state !== 'connected') continue
+    if (await isLiveTabId(id)) return id
+    await detachTab(id, 'stale-tab')
+  }
+  return null
+}
+
+async function isTabVisibleToRelay(tab) {
+  if (!tab?.id) return false
+  if (tabs.get(tab.id)?.state === 'connected') return true
+  if (withdrawnTabs.has(tab.id)) return false
+  if (!(await isUrlAllowedForAttach(tab.url || ''))) return false
+  return await isTabInAttachMode(tab)
+}
+
+/**
+ * Builds a CDP TargetInfo for a tab the relay may see (attached, or eligible for attach).
+ * @param {chrome.tabs.Tab} tab
+ * @param {chrome.debugger.TargetInfo[]} [debuggerTargets] result of chrome.debugger.getTargets(), to share across tabs
+ */
+async function getRelayTargetInfo(tab, debuggerTargets) {
+  if (!(await isTabVisibleToRelay(tab))) return null
+  const state = tabs.get(tab.id)
+  let targetId = state?.targetId
+  if (!targetId) {
+    const targets = debuggerTargets || (await chrome.debugger.getTargets())
+    targetId = targets.find((t) => t.tabId === tab.id)?.id
+  }
+  if (!targetId) return null
+  const openerId = tab.openerTabId && tabs.has(tab.openerTabId) ? getTargetAlias(tab.openerTabId) : undefined
+  const labels = tabLabels.get(tab.id)
+  return {
+    targetId: getTargetAlias(tab.id),
+    type: 'page',
+    title: tab.title || '',
+    url: tab.url || tab.pendingUrl || '',
+    attached: state?.state === 'connected',
+    canAccessOpener: false,
+    browserContextId: getBrowserContextIdForWindow(tab.windowId),
+    ...(openerId ? { openerId } : {}),
+    // Non-standard: controller-assigned labels (Relay.setTabLabels).
+    ...(labels ? { relayTab: { label: labels.label || null, tags: labels.tags } } : {}),
+  }
+}
+
+/** @returns {Promise<Array<{tabId:number, targetInfo:any}>>} */
+async function listRelayTargets() {
+  const [allTabs, debuggerTargets] = await Promise.all([chrome.tabs.query({}), chrome.debugger.getTargets()])
+  const targets = []
+  for (const tab of allTabs) {
+    const targetInfo = await getRelayTargetInfo(tab, debuggerTargets)
+    if (targetInfo) targets.push({ tabId: tab.id, targetInfo })
+  }
+  return targets
+}
+
+/**
+ * Announces a tab's current state to a discovering relay. Calls for the same tab are chained, so two overlapping
+ * updates cannot both announce the tab as new, and nothing follows its targetDestroyed.
+ */
+function syncDiscoveredTarget(tabId, removed = false) {
+  const previous = discoverySyncs.get(tabId) || Promise.resolve()
+  const sync = previous.then(() => runDiscoverySync(tabId, removed)).catch((err) => {
+    console.warn('[relay] target discovery sync failed', JSON.stringify({ tabId, error: String(err) }))
+  })
+  discoverySyncs.set(tabId, sync)
+  void sync.then(() => {
+    if (discoverySyncs.get(tabId) === sync) discoverySyncs.delete(tabId)
+  })
+  return sync
+}
+
+async function runDiscoverySync(tabId, removed) {
+  if (!discoverTargets) return
+  let announced = discoveredTargets.get(tabId)
+  // Claimed before the first await; undone below if the tab turns out not to be visible.
+  if (!removed && !announced) discoveredTargets.set(tabId, getTargetAlias(tabId))
+  const tab = removed ? null : await chrome.tabs.get(tabId).catch(() => null)
+  const info = tab ? await getRelayTargetInfo(tab) : null
+  if (announced && announced !== info?.targetId) {
+    sendRelayEvent({ method: 'Target.targetDestroyed', params: { targetId: announced } })
+    announced = undefined
+  }
+  if (!info) {
+    discoveredTargets.delete(tabId)
+    schedulePersistRegistry()
+    return
+  }
+  if (!announced) {
+    discoveredTargets.set(tabId, info.targetId)
+    schedulePersistRegistry()
+  }
+  sendRelayEvent({
+    method: announced ? 'Target.targetInfoChanged' : 'Target.targetCreated',
+    params: { targetInfo: info },
+  })
+}
+
+async function setDiscoverTargets(discover) {
+  discoverTargets = discover
+  discoveredTargets.clear()
+  schedulePersistRegistry()
+  if (!discover) return
+  for (const { tabId, targetInfo } of await listRelayTargets()) {
+    discoveredTargets.set(tabId, targetInfo.targetId)
+    sendRelayEvent({ method: 'Target.targetCreated', params: { targetInfo } })
+  }
+}
+
+async function getBrowserVersion() {
+  const uaData = /** @type {any} */ (navigator).userAgentData
+  const highEntropy = uaData ? await uaData.getHighEntropyValues(['fullVersionList']).catch(() => null) : null
+  const brands = highEntropy?.fullVersionList || []
+  const brand =
+    brands.find((b) => b.brand === 'Google Chrome') ||
+    brands.find((b) => b.brand === 'Chromium') ||
+    brands.find((b) => !/not.?a.?brand/i.test(b.brand))
+  const version = brand?.version || navigator.userAgent.match(/Chrome\/([\d.]+)/)?.[1] || ''
+  return {
+    protocolVersion: '1.3',
+    product: `Chrome/${version}`,
+    revision: '',
+    userAgent: navigator.userAgent,
+    jsVersion: '',
+  }
+}
+
+function toWindowBounds(win) {
+  const state = win.state === 'locked-fullscreen' ? 'fullscreen' : win.state || 'normal'
+  return { left: win.left, top: win.top, width: win.width, height: win.height, windowState: state }
+}
+
+/** Resolves a targetId to its tab, including tabs the extension is not attached to. */
+async function findTabIdForTargetId(targetId) {
+  const aliasTabId = parseTargetAlias(targetId)
+  if (aliasTabId !== null) return aliasTabId
+  const attached = getTabByTargetId(targetId)
+  if (attached) return attached
+  const targets = await chrome.debugger.getTargets()
+  return targets.find((t) => t.id === targetId && t.tabId)?.tabId || null
+}
+
+async function getWindowForTarget(params, sessionId) {
+  const requestedTargetId = typeof params?.targetId === 'string' ? params.targetId : ''
+  let tabId = null
+  if (requestedTargetId) tabId = await findTabIdForTargetId(requestedTargetId)
+  else if (sessionId) tabId = getTabBySessionId(sessionId)?.tabId || null
+  else tabId = await getDefaultConnectedTabId()
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null
+  if (!tab || !(await isTabVisibleToRelay(tab))) {
+    throw createRelayError(
+      'TAB_NOT_FOUND',
+      `Browser.getWindowForTarget: no tab for target ${requestedTargetId || sessionId || '(default)'}`
+    )
+  }
+  const win = await chrome.windows.get(tab.windowId)
+  return { windowId: win.id, bounds: toWindowBounds(win) }
+}
+
+/**
+ * A window the relay may control: one holding at least one attached or attach-eligible tab. Other windows are
+ * reported as not found, like tabs the relay cannot see.
+ */
+async function getRelayWindow(windowId) {
+  const win = await chrome.windows.get(windowId, { populate: true }).catch(() => null)
+  let visible = false
+  for (const tab of win?.tabs || []) {
+    if (await isTabVisibleToRelay(tab)) {
+      visible = true
+      break
+    }
+  }
+  if (!visible) throw createRelayError('WINDOW_NOT_FOUND', `Browser window ${windowId} not found`)
+  return win
+}
+
+async function getWindowBounds(params) {
+  const win = await getRelayWindow(Number(params?.windowId))
+  return { bounds: toWindowBounds(win) }
+}
+
+async function setWindowBounds(params) {
+  const windowId = Number(params?.windowId)
+  const bounds = params?.bounds || {}
+  /** @type {chrome.windows.UpdateInfo} */
+  const update = {}
+  for (const key of ['left', 'top', 'width', 'height']) {
+    if (typeof bounds[key] === 'number') update[key] = Math.round(bounds[key])
+  }
+  const hasRect = Object.keys(update).length > 0
+  const state = bounds.windowState
+  if (state && state !== 'normal' && hasRect) {
+    throw createRelayError(
+      'INVALID_PARAMS',
+      `Browser.setWindowBounds: windowState '${state}' cannot be combined with left/top/width/height`
+    )
+  }
+  if (state) update.state = state
+  else if (hasRect) update.state = 'normal'
+  await getRelayWindow(windowId)
+  try {
+    await chrome.windows.update(windowId, update)
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err)
+    if (/no window with id/i.test(message)) {
+      throw createRelayError('WINDOW_NOT_FOUND', `Browser window ${params?.windowId} not found`)
+    }
+    // Chrome rejects bounds it cannot apply, e.g. a size change while the window is fullscreen or minimized.
+    throw createRelayError('INVALID_PARAMS', `Browser.setWindowBounds: ${message}`, { windowId, bounds })
+  }
+  return {}
+}
+
+function getBrowserContextIdForWindow(windowId) {
+  if (windowId === undefined) return DEFAULT_BROWSER_CONTEXT_ID
+  for (const [contextId, ctx] of browserContexts.entries()) {
+    if (ctx.windowIds.has(windowId)) return contextId
+  }
+  return DEFAULT_BROWSER_CONTEXT_ID
+}
+
+async function createBrowserContext(params) {
+  if (params?.proxyServer) {
+    throw createRelayError(
+      'UNSUPPORTED',
+      'Target.createBrowserContext: proxyServer is not available through chrome.debugger'
+    )
+  }
+  // Non-standard: `incognito: true` backs the context with an incognito window when the extension may run there.
+  // Chrome has a single incognito profile, so incognito contexts share storage with each other.
+  const incognito = params?.incognito === true
+  if (incognito && !(await chrome.extension.isAllowedIncognitoAccess())) {
+    throw createRelayError(
+      'POLICY_DENIED',
+      'Target.createBrowserContext: the extension is not allowed in incognito windows'
+    )
+  }
+  const win = await chrome.windows.create({ url: 'about:blank', focused: false, incognito, type: 'normal' })
+  if (!win?.id) throw new Error('Failed to create browser context window')
+  const browserContextId = `cb-context-${nextBrowserContext++}`
+  browserContexts.set(browserContextId, {
+    windowIds: new Set([win.id]),
+    incognito,
+    placeholderTabId: win.tabs?.[0]?.id,
+  })
+  schedulePersistRegistry()
+  console.warn('[relay] browser context created', JSON.stringify({ browserContextId, windowId: win.id, incognito }))
+  return { browserContextId }
+}
+
+async function disposeBrowserContext(params) {
+  const browserContextId = String(params?.browserContextId || '')
+  const ctx = browserContexts.get(browserContextId)
+  if (!ctx) {
+    const message = `Target.disposeBrowserContext: unknown browserContextId ${browserContextId}`
+    throw createRelayError('INVALID_PARAMS', message)
+  }
+  browserContexts.delete(browserContextId)
+  schedulePersistRegistry()
+  const contextTabs = await chrome.tabs.query({}).then((all) => all.filter((t) => ctx.windowIds.has(t.windowId)))
+  const attachedTabIds = contextTabs.map((t) => t.id).filter((tabId) => tabs.has(tabId))
+  await Promise.allSettled(attachedTabIds.map((tabId) => detachTab(tabId, 'browser-context-disposed')))
+  await Promise.allSettled([...ctx.windowIds].map((windowId) => chrome.windows.remove(windowId)))
+  console.warn('[relay] browser context disposed', JSON.stringify({ browserContextId, tabs: contextTabs.length }))
+  return {}
+}
+
+/** Resolves once Chrome exposes a debuggable target for a freshly created tab. */
+async function waitForTabAttachable(tabId, timeoutMs = CREATE_TARGET_ATTACHABLE_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null)
+    if (!tab) throw createRelayError('TAB_NOT_FOUND', `Tab ${tabId} closed before it could be attached`)
+    if (tab.url) {
+      const targets = await chrome.debugger.getTargets()
+      if (targets.some((t) => t.tabId === tabId)) return
+    }
+    await new Promise((r) => setTimeout(r, 50))
+  }
+  throw createRelayError('TIMEOUT', `Tab ${tabId} did not become attachable within ${timeoutMs}ms`, { timeoutMs })
+}
+
+async function waitForAutoAttach(tabId, timeoutMs = CREATE_TARGET_ATTACHABLE_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs
+  while (tabs.get(tabId)?.state === 'connecting' && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 50))
+  }
+  return tabs.get(tabId)
+}
+
+async function createTarget(params) {
+  const url = typeof params?.url === 'string' && params.url ? params.url : 'about:blank'
+  if (await isUrlDeniedByPolicy(url)) {
+    throw createRelayError('POLICY_DENIED', `Target.createTarget denied: ${url} is excluded by the attach rules`, {
+      url,
+    })
+  }
+  if (params?.enableBeginFrameControl) {
+    throw createRelayError(
+      'UNSUPPORTED',
+      'Target.createTarget: enableBeginFrameControl is not available through chrome.debugger'
+    )
+  }
+  const browserContextId = params?.browserContextId ? String(params.browserContextId) : ''
+  const isManagedContext = Boolean(browserContextId) && browserContextId !== DEFAULT_BROWSER_CONTEXT_ID
+  const ctx = isManagedContext ? browserContexts.get(browserContextId) : null
+  if (isManagedContext && !ctx) {
+    throw createRelayError('INVALID_PARAMS', `Target.createTarget: unknown browserContextId ${browserContextId}`)
+  }
+
+  // As in CDP, new targets open in the foreground unless the caller asks for `background: true`.
+  const active = params?.background !== true
+  /** @type {chrome.tabs.Tab|undefined} */
+  let tab
+  if (params?.newWindow || (ctx && ctx.windowIds.size === 0)) {
+    /** @type {chrome.windows.CreateData} */
+    const createData = { url, focused: active, type: 'normal', incognito: ctx?.incognito === true }
+    if (typeof params.width === 'number' && params.width > 0) createData.width = Math.round(params.width)
+    if (typeof params.height === 'number' && params.height > 0) createData.height = Math.round(params.height)
+    const win = await chrome.windows.create(createData)
+    if (ctx && win?.id) ctx.windowIds.add(win.id)
+    tab = win?.tabs?.[0]
+  } else if (ctx) {
+    tab = await chrome.tabs.create({ url, active, windowId: [...ctx.windowIds][0] })
+  } else {
+    tab = await chrome.tabs.create({ url, active })
+  }
+  if (!tab?.id) throw new Error('Failed to create tab')
+  const tabId = tab.id
+  agentTabs.add(tabId)
+  if (ctx?.placeholderTabId) {
+    // The about:blank tab that kept the context window open is no longer needed.
+    const placeholderTabId = ctx.placeholderTabId
+    delete ctx.placeholderTabId
+    if (!tabs.has(placeholderTabId)) void chrome.tabs.remove(placeholderTabId).catch(() => {})
+  }
+  schedulePersistRegistry()
+
+  // Keep the tabs.onCreated auto-attach away from this tab; if it already started, reuse its session.
+  if (tabs.has(tabId)) {
+    const existing = await waitForAutoAttach(tabId)
+    if (existing?.state === 'connected' && existing.targetId) return { targetId: getTargetAlias(tabId) }
+  }
+  tabs.set(tabId, { state: 'connecting' })
+  try {
+    await waitForTabAttachable(tabId)
+    const attached = await attachTab(tabId, { announceCreated: true })
+    return { targetId: attached.targetId }
+  } catch (err) {
+    if (tabs.get(tabId)?.state === 'connecting') tabs.delete(tabId)
+    throw err
+  }
+}
 
-  if (!opts.skipAttachedEvent) {
-    sendToRelay({
-      method: 'forwardCDPEvent',
-      params: {
-        method: 'Target.attachedToTarget',
-        params: {
-          sessionId,
-          targetInfo: { ...targetInfo, attached: true },
-          waitingForDebugger: false,
-        },
-      },
-    })
+/** Tab addressed by a Relay.* command: `targetId` in params, else the command's session. */
+async function resolveRelayTabId(params, sessionId) {
+  const targetId = typeof params?.targetId === 'string' ? params.targetId : ''
+  const tabId = targetId
+    ? await findTabIdForTargetId(targetId)
+    : (sessionId && getTabBySessionId(sessionId)?.tabId) || null
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null
+  if (!tab || !(await isTabVisibleToRelay(tab))) {
+    throw createRelayError('TAB_NOT_FOUND', `No tab for target ${targetId || sessionId || '(none)'}`)
   }
+  return tabId
+}
 
-  setBadge(tabId, 'on')
-  void syncGlobalBadgeForActiveTab()
-  return { sessionId, targetId }
+function describeTabLabels(tabId) {
+  const labels = tabLabels.get(tabId)
+  return { targetId: getTargetAlias(tabId), label: labels?.label || null, tags: labels?.tags || {} }
 }
 
-async function refreshTabTargetInfo(tabId, source = 'unknown') {
-  const tabState = tabs.get(tabId)
-  if (!tabState || tabState.state !== 'connected') return
-  try {
-    const info = /** @type {any} */ (await chrome.debugger.sendCommand({ tabId }, 'Target.getTargetInfo'))
-    const newTargetId = String(info?.targetInfo?.targetId || '').trim()
-    if (!newTargetId || tabState.targetId === newTargetId) return
-    const oldTargetId = tabState.targetId || ''
-    if (oldTargetId) {
-      staleTargetToTab.set(oldTargetId, {
-        tabId,
-        expiresAt: Date.now() + STALE_TARGET_TTL_MS,
-      })
+/**
+ * Relay.setTabLabels: `label` (string, or null to clear) and `tags` merged into the existing tags (a null value
+ * removes the key). With `replace: true` the given tags replace all existing ones.
+ */
+async function setTabLabels(params, sessionId) {
+  const tabId = await resolveRelayTabId(params, sessionId)
+  const current = tabLabels.get(tabId)
+  const next = { label: current?.label, tags: params?.replace === true ? {} : { ...current?.tags } }
+  if (params?.label !== undefined) {
+    const label = params.label === null ? '' : String(params.label)
+    if (label.length > MAX_TAB_LABEL_LENGTH) {
+      throw createRelayError('INVALID_PARAMS', `Relay.setTabLabels: label is longer than ${MAX_TAB_LABEL_LENGTH}`)
     }
-    tabState.targetId = newTargetId
-    tabs.set(tabId, tabState)
-    console.warn(
-      '[relay] targetId refreshed',
-      JSON.stringify({ source, tabId, oldTargetId: oldTargetId || null, newTargetId })
-    )
-  } catch (err) {
-    if (isRecoverableDebuggerCommandError(err)) {
-      await detachTab(tabId, `target-refresh-failed:${source}`)
+    next.label = label || undefined
+  }
+  if (params?.tags != null && (typeof params.tags !== 'object' || Array.isArray(params.tags))) {
+    throw createRelayError('INVALID_PARAMS', 'Relay.setTabLabels: tags must be an object')
+  }
+  for (const [key, value] of Object.entries(params?.tags || {})) {
+    if (value === null) {
+      delete next.tags[key]
+      continue
     }
+    const text = String(value)
+    if (!key || text.length > MAX_TAB_TAG_VALUE_LENGTH) {
+      throw createRelayError('INVALID_PARAMS', `Relay.setTabLabels: invalid tag ${key || '(empty)'}`)
+    }
+    next.tags[key] = text
+  }
+  if (Object.keys(next.tags).length > MAX_TAB_TAGS) {
+    throw createRelayError('INVALID_PARAMS', `Relay.setTabLabels: more than ${MAX_TAB_TAGS} tags`)
   }
+
+  if (next.label || Object.keys(next.tags).length > 0) tabLabels.set(tabId, next)
+  else tabLabels.delete(tabId)
+  schedulePersistRegistry()
+  setTabTitle(tabId, tabStatusTitles.get(tabId) || 'OpenClaw Browser Relay')
+  void syncDiscoveredTarget(tabId)
+  return describeTabLabels(tabId)
 }
 
-async function refreshConnectedTargetInfos(source = 'unknown') {
-  const tasks = []
-  for (const [tabId, tabState] of tabs.entries()) {
-    if (tabState.state !== 'connected') continue
-    tasks.push(refreshTabTargetInfo(tabId, source))
+/** Relay.getTabLabels: one tab's labels, or with no target and session, every labelled tab's. */
+async function getTabLabels(params, sessionId) {
+  if (typeof params?.targetId === 'string' || sessionId) {
+    return describeTabLabels(await resolveRelayTabId(params, sessionId))
   }
-  if (tasks.length === 0) return
-  await Promise.allSettled(tasks)
+  return { tabs: [...tabLabels.keys()].map(describeTabLabels) }
 }
 
-async function detachTab(tabId, reason) {
-  const tab = tabs.get(tabId)
-  if (tab?.sessionId) {
-    staleSessionToTab.set(tab.sessionId, {
-      tabId,
-      expiresAt: Date.now() + STALE_SESSION_TTL_MS,
-    })
+/** Compiles `/regex/flags` or a plain pattern; invalid patterns are the caller's mistake. */
+function compileSelectorRegExp(field, pattern) {
+  const raw = String(pattern)
+  const m = raw.match(/^\/(.+)\/([a-z]*)$/)
+  try {
+    return m ? new RegExp(m[1], m[2].replace(/[gy]/g, '')) : new RegExp(raw)
+  } catch {
+    throw createRelayError('INVALID_PARAMS', `Relay.resolveTab: invalid ${field} pattern ${raw}`, { field })
   }
-  if (tab?.targetId) {
-    staleTargetToTab.set(tab.targetId, {
-      tabId,
-      expiresAt: Date.now() + STALE_TARGET_TTL_MS,
+}
+
+/**
+ * Builds a tab predicate from Relay.resolveTab params: `url` (glob or `/regex/`, full URL), `origin` (an attach
+ * rule: domain or origin glob), `path` (glob on the pathname), `title` (regex), `windowId`/`groupId`, and the
+ * controller-assigned `label` and `tags` (exact values).
+ * @returns {(tab: chrome.tabs.Tab) => boolean}
+ */
+function compileTabSelector(params) {
+  /** @type {Array<(tab: chrome.tabs.Tab, u: URL) => boolean>} */
+  const tests = []
+  if (params?.url != null) {
+    const raw = String(params.url)
+    const re = raw.startsWith('/') ? compileSelectorRegExp('url', raw) : globToRegExp(raw)
+    tests.push((tab, u) => re.test(u.href))
+  }
+  if (params?.origin != null) {
+    const rule = compileUrlRule(params.origin)
+    if (!rule) throw createRelayError('INVALID_PARAMS', `Relay.resolveTab: invalid origin ${params.origin}`)
+    tests.push((tab, u) => rule(u))
+  }
+  if (params?.path != null) {
+    const re = globToRegExp(params.path)
+    tests.push((tab, u) => re.test(u.pathname))
+  }
+  if (params?.title != null) {
+    const re = compileSelectorRegExp('title', params.title)
+    tests.push((tab) => re.test(tab.title || ''))
+  }
+  if (params?.windowId != null) tests.push((tab) => tab.windowId === Number(params.windowId))
+  if (params?.groupId != null) tests.push((tab) => tab.groupId === Number(params.groupId))
+  if (params?.label != null) tests.push((tab) => tabLabels.get(tab.id)?.label === String(params.label))
+  if (params?.tags != null) {
+    if (typeof params.tags !== 'object' || Array.isArray(params.tags)) {
+      throw createRelayError('INVALID_PARAMS', 'Relay.resolveTab: tags must be an object of tag names to values')
+    }
+    const wanted = Object.entries(params.tags).map(([key, value]) => [key, String(value)])
+    tests.push((tab) => {
+      const tags = tabLabels.get(tab.id)?.tags || {}
+      return wanted.every(([key, value]) => tags[key] === value)
     })
   }
-  if (tab?.sessionId && tab?.targetId) {
+  // An empty selector would match every tab the relay may see.
+  if (tests.length === 0) {
+    throw createRelayError(
+      'INVALID_PARAMS',
+      'Relay.resolveTab: selector needs one of url, origin, path, title, windowId, groupId, label or tags'
+    )
+  }
+  return (tab) => {
+    let u
     try {
-      sendToRelay({
-        method: 'forwardCDPEvent',
-        params: {
-          method: 'Target.detachedFromTarget',
-          params: { sessionId: tab.sessionId, targetId: tab.targetId, reason },
-        },
-      })
+      u = new URL(tab.url || tab.pendingUrl || '')
     } catch {
-      // ignore
+      return false
     }
+    return tests.every((test) => test(tab, u))
   }
+}
 
-  if (tab?.sessionId) tabBySession.delete(tab.sessionId)
-  tabs.delete(tabId)
+/**
+ * Relay.resolveTab: finds the one tab the relay may see that matches the selector, attaches it if needed and
+ * returns its session. Fails with NO_MATCHING_TAB, or AMBIGUOUS_TAB listing the candidates.
+ */
+async function resolveTab(params) {
+  const matches = compileTabSelector(params)
+  const candidates = []
+  for (const tab of await chrome.tabs.query({})) {
+    if (matches(tab) && (await isTabVisibleToRelay(tab))) candidates.push(tab)
+  }
+  if (candidates.length === 0) {
+    throw createRelayError('NO_MATCHING_TAB', 'Relay.resolveTab: no tab matches the selector', { selector: params })
+  }
+  if (candidates.length > 1) {
+    throw createRelayError('AMBIGUOUS_TAB', `Relay.resolveTab: ${candidates.length} tabs match the selector`, {
+      selector: params,
+      candidates: candidates.map((tab) => ({
+        targetId: getTargetAlias(tab.id),
+        url: tab.url || '',
+        title: tab.title || '',
+        windowId: tab.windowId,
+        groupId: tab.groupId,
+        ...describeTabLabels(tab.id),
+      })),
+    })
+  }
 
-  for (const [childSessionId, parentTabId] of childSessionToTab.entries()) {
-    if (parentTabId === tabId) childSessionToTab.delete(childSessionId)
+  const [tab] = candidates
+  await ensureAttachedToTabId(tab.id, 'resolve-tab')
+  const state = tabs.get(tab.id)
+  if (state?.state !== 'connected' || !state.sessionId) {
+    throw createRelayError('DETACHED', `Relay.resolveTab: tab ${getTargetAlias(tab.id)} could not be attached`)
   }
+  const targetInfo = await getRelayTargetInfo(await chrome.tabs.get(tab.id))
+  return { sessionId: state.sessionId, targetId: getTargetAlias(tab.id), targetInfo }
+}
 
-  try {
-    await chrome.debugger.detach({ tabId })
-  } catch {
-    // ignore
+function trackPageState(tabId, source, method, params) {
+  let state = pageStates.get(tabId)
+  if (!state) {
+    state = { loaderId: '', lifecycle: new Set(), inflight: new Set(), lastNetworkAt: 0 }
+    pageStates.set(tabId, state)
+  }
+  if (method === 'Page.lifecycleEvent' && !source.sessionId) {
+    // The main frame's id is the page target's id; subframes have their own.
+    if (params?.frameId !== tabs.get(tabId)?.targetId) return
+    if (params.name === 'init' || params.loaderId !== state.loaderId) {
+      state.loaderId = String(params.loaderId || '')
+      state.lifecycle.clear()
+    }
+    state.lifecycle.add(String(params.name))
+    return
   }
+  if (method === 'Network.requestWillBeSent') {
+    state.inflight.add(`${source.sessionId || ''}:${params?.requestId}`)
+    state.lastNetworkAt = Date.now()
+    return
+  }
+  if (method === 'Network.loadingFinished' || method === 'Network.loadingFailed') {
+    state.inflight.delete(`${source.sessionId || ''}:${params?.requestId}`)
+    state.lastNetworkAt = Date.now()
+  }
+}
 
-  setBadge(tabId, 'off')
-  void syncGlobalBadgeForActiveTab()
-  setTabTitle(tabId, 'OpenClaw Browser Relay: waiting for auto-attach')
+/** In-flight requests are only seen while the controller has the Network domain enabled. */
+function getTrackedInflightRequests(tabId) {
+  if (!tabReplayState.get(tabId)?.has('Network.enable')) return null
+  return pageStates.get(tabId)?.inflight.size || 0
 }
 
-async function ensureAttachedToTabId(tabId, source = 'auto') {
-  if (!tabId) return
-  const tab = await chrome.tabs.get(tabId).catch(() => null)
-  if (!tab?.id) return
-  if (!canAttachToUrl(tab.url || '')) return
+/** Runtime.evaluate failures caused by the page navigating away mid-evaluation. */
+function isContextLostError(err) {
+  const message = String(err instanceof Error ? err.message : err || '').toLowerCase()
+  return (
+    message.includes('execution context was destroyed') ||
+    message.includes('cannot find context with specified id') ||
+    message.includes('cannot find default execution context')
+  )
+}
 
-  const existing = tabs.get(tab.id)
-  if (existing?.state === 'connecting' || existing?.state === 'connected') return
+async function evaluateInTab(tabId, expression, signal) {
+  const response = /** @type {any} */ (
+    await sendDebuggerCommand({ tabId }, 'Runtime.evaluate', { expression, returnByValue: true }, signal)
+  )
+  if (response?.exceptionDetails) {
+    const text = response.exceptionDetails.exception?.description || response.exceptionDetails.text
+    throw createRelayError('INVALID_PARAMS', `Evaluation failed: ${text}`)
+  }
+  return response?.result?.value
+}
 
-  tabs.set(tab.id, { state: 'connecting' })
-  setBadge(tab.id, 'connecting')
-  void syncGlobalBadgeForActiveTab()
-  setTabTitle(tab.id, 'OpenClaw Browser Relay: auto-attaching...')
+/**
+ * Relay.probe: a liveness check that never throws for a dead tab. `alive` is true when the tab's debugger
+ * answers Page.getFrameTree within `timeoutMs`.
+ */
+async function probeTab(params, sessionId, signal) {
+  const tabId = await resolveRelayTabId(params, sessionId)
+  const tab = await chrome.tabs.get(tabId).catch(() => null)
+  const state = tabs.get(tabId)
+  const result = {
+    targetId: getTargetAlias(tabId),
+    sessionId: state?.sessionId || null,
+    attached: state?.state === 'connected',
+    alive: false,
+    url: tab?.url || '',
+    title: tab?.title || '',
+    loading: tab?.status === 'loading',
+    lifecycle: [...(pageStates.get(tabId)?.lifecycle || [])],
+    inflightRequests: getTrackedInflightRequests(tabId),
+    frameCount: 0,
+    latencyMs: 0,
+  }
+  if (!result.attached) return result
 
+  const startedAt = Date.now()
+  const timeoutMs = Math.min(Number(params?.timeoutMs) || PROBE_TIMEOUT_MS, MAX_COMMAND_TIMEOUT_MS)
+  const timeout = AbortSignal.timeout(timeoutMs)
   try {
-    await ensureRelayConnection()
-    await attachTab(tab.id)
-    reconnectAttempt = 0
+    const probeSignal = signal ? AbortSignal.any([signal, timeout]) : timeout
+    const tree = /** @type {any} */ (await sendDebuggerCommand({ tabId }, 'Page.getFrameTree', undefined, probeSignal))
+    const countFrames = (node) => 1 + (node?.childFrames || []).reduce((n, child) => n + countFrames(child), 0)
+    return {
+      ...result,
+      alive: true,
+      url: tree?.frameTree?.frame?.url || result.url,
+      frameCount: countFrames(tree?.frameTree),
+      latencyMs: Date.now() - startedAt,
+    }
   } catch (err) {
-    tabs.delete(tab.id)
-    setBadge(tab.id, 'error')
-    void syncGlobalBadgeForActiveTab()
-    setTabTitle(tab.id, 'OpenClaw Browser Relay: relay not running (open options for setup)')
-    void maybeOpenHelpOnce()
-    const message = err instanceof Error ? err.message : String(err)
-    console.warn(`auto-attach failed (${source})`, message, nowStack())
-    scheduleReconnectAllTabs()
+    signal?.throwIfAborted()
+    const error = timeout.aborted
+      ? createRelayError('TIMEOUT', `Page.getFrameTree did not answer within ${timeoutMs}ms`, { timeoutMs })
+      : err
+    return { ...result, latencyMs: Date.now() - startedAt, error: toRelayErrorPayload(error) }
   }
 }
 
-async function ensureAttachedForActiveTab(source = 'auto') {
-  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
-  if (!active?.id) return
-  await ensureAttachedToTabId(active.id, source)
-}
-
-async function ensureAttachedForAllTabs(source = 'auto') {
-  const allTabs = await chrome.tabs.query({})
-  const tasks = []
-  for (const tab of allTabs) {
-    if (!tab?.id) continue
-    tasks.push(ensureAttachedToTabId(tab.id, source))
+/** Whether the Relay.waitFor condition holds now. */
+async function checkWaitCondition(tabId, params, matchesUrl, signal) {
+  const page = pageStates.get(tabId)
+  // Without lifecycle events for the current document (attached after it loaded), fall back to readyState.
+  const lifecycle = page?.loaderId ? page.lifecycle : null
+  const readyState = () => evaluateInTab(tabId, 'document.readyState', signal)
+  if (params.state === 'load') {
+    return lifecycle ? lifecycle.has('load') : (await readyState()) === 'complete'
   }
-  if (tasks.length === 0) return
-  await Promise.allSettled(tasks)
+  if (params.state === 'domcontentloaded') {
+    return lifecycle ? lifecycle.has('DOMContentLoaded') : (await readyState()) !== 'loading'
+  }
+  if (params.state === 'networkidle') {
+    if (lifecycle?.has('networkIdle')) return true
+    const quietMs = Date.now() - (page?.lastNetworkAt || 0)
+    if (getTrackedInflightRequests(tabId) || quietMs < NETWORK_IDLE_MS) return false
+    return (await readyState()) === 'complete'
+  }
+  if (params.state === 'url-match') {
+    const tab = await chrome.tabs.get(tabId).catch(() => null)
+    return matchesUrl(tab?.url || '')
+  }
+  const expression = `Boolean(document.querySelector(${JSON.stringify(params.selector)}))`
+  return Boolean(await evaluateInTab(tabId, expression, signal))
 }
 
-async function getDefaultConnectedTabId() {
-  const [active] = await chrome.tabs.query({ active: true, currentWindow: true })
-  if (active?.id && tabs.get(active.id)?.state === 'connected') {
-    return active.id
+/**
+ * Relay.waitFor: waits until `state` holds on the tab. `url` (glob or `/regex/`) is required for url-match and
+ * `selector` for selector-present. Resolves with `satisfied: false` after `timeoutMs` instead of failing, so
+ * keep the command's own `timeoutMs` larger.
+ */
+async function waitForTabState(params, sessionId, signal) {
+  const state = String(params?.state || '')
+  if (!WAIT_FOR_STATES.includes(state)) {
+    throw createRelayError('INVALID_PARAMS', `Relay.waitFor: state must be one of ${WAIT_FOR_STATES.join(', ')}`)
+  }
+  if (state === 'url-match' && typeof params?.url !== 'string') {
+    throw createRelayError('INVALID_PARAMS', 'Relay.waitFor: url-match needs a url pattern')
+  }
+  if (state === 'selector-present' && typeof params?.selector !== 'string') {
+    throw createRelayError('INVALID_PARAMS', 'Relay.waitFor: selector-present needs a selector')
+  }
+  const tabId = await resolveRelayTabId(params, sessionId)
+  if (tabs.get(tabId)?.state !== 'connected') {
+    throw createRelayError('DETACHED', `Relay.waitFor: tab ${getTargetAlias(tabId)} is not attached`)
   }
 
-  for (const [id, tab] of tabs.entries()) {
-    if (tab.state !== 'connected') continue
-    if (await isLiveTabId(id)) return id
-    await detachTab(id, 'stale-tab')
+  let urlPattern = null
+  if (state === 'url-match') {
+    urlPattern = params.url.startsWith('/') ? compileSelectorRegExp('url', params.url) : globToRegExp(params.url)
+  }
+  const matchesUrl = (url) => Boolean(urlPattern?.test(url))
+  const timeoutMs = Math.min(Number(params?.timeoutMs) || DEFAULT_WAIT_FOR_TIMEOUT_MS, MAX_COMMAND_TIMEOUT_MS)
+  const startedAt = Date.now()
+  // Each check gets the time left, so an open dialog or a busy main thread cannot hold it past `timeoutMs`.
+  const check = async () => {
+    const deadline = AbortSignal.timeout(Math.max(timeoutMs - (Date.now() - startedAt), 1))
+    const checkSignal = signal ? AbortSignal.any([signal, deadline]) : deadline
+    try {
+      return await checkWaitCondition(tabId, { ...params, state }, matchesUrl, checkSignal)
+    } catch (err) {
+      signal?.throwIfAborted()
+      // A navigation destroys the context being evaluated in; that only means "not yet".
+      if (deadline.aborted || isContextLostError(err)) return false
+      throw err
+    }
+  }
+  let satisfied = await check()
+  while (!satisfied && Date.now() - startedAt < timeoutMs) {
+    await new Promise((r) => setTimeout(r, WAIT_FOR_POLL_MS))
+    signal?.throwIfAborted()
+    satisfied = await check()
+  }
+  const tab = await chrome.tabs.get(tabId).catch(() => null)
+  return {
+    state,
+    satisfied,
+    timedOut: !satisfied,
+    waitedMs: Date.now() - startedAt,
+    targetId: getTargetAlias(tabId),
+    url: tab?.url || '',
+    lifecycle: [...(pageStates.get(tabId)?.lifecycle || [])],
+    inflightRequests: getTrackedInflightRequests(tabId),
   }
-  return null
 }
 
-async function handleForwardCdpCommand(msg) {
+/**
+ * @param {any} msg
+ * @param {AbortSignal} [signal]
+ * @param {{recovery?: string[], attempts?: number, retryClass?: string, failover?: object}} [meta] recovery steps
+ *   taken are appended to `meta.recovery`; `meta.attempts` counts every send to the debugger; `meta.failover` names
+ *   the tab a command moved to
+ * @param {number|null} [queueTabId] tab whose queue turn the command holds; unaddressed commands run there
+ */
+async function handleForwardCdpCommand(msg, signal = undefined, meta = {}, queueTabId = null) {
   const method = String(msg?.params?.method || '').trim()
-  const params = msg?.params?.params || undefined
+  const rawParams = msg?.params?.params || undefined
+  // chrome.debugger only routes child sessions in flat mode.
+  const params = method === 'Target.setAutoAttach' ? { ...rawParams, flatten: true } : rawParams
   const sessionId = typeof msg?.params?.sessionId === 'string' ? msg.params.sessionId : undefined
 
+  // Browser-wide Target queries are answered from chrome.tabs; a single tab's debugger only knows itself.
+  if (method === 'Target.getTargets') {
+    const targets = await listRelayTargets()
+    return { targetInfos: [...targets.map((t) => t.targetInfo), ...listChildTargetInfos()] }
+  }
+  if (method === 'Target.setDiscoverTargets') {
+    await setDiscoverTargets(params?.discover === true)
+    return {}
+  }
+  if (method === 'Target.createTarget') return await createTarget(params)
+  if (method === 'Target.createBrowserContext') return await createBrowserContext(params)
+  if (method === 'Target.disposeBrowserContext') return await disposeBrowserContext(params)
+  if (method === 'Target.getBrowserContexts') return { browserContextIds: [...browserContexts.keys()] }
+
+  // Browser domain: emulated on top of chrome.windows; CDP window ids are Chrome window ids.
+  if (method === 'Browser.getVersion') return await getBrowserVersion()
+  if (method === 'Browser.getWindowForTarget') return await getWindowForTarget(params, sessionId)
+  if (method === 'Browser.getWindowBounds') return await getWindowBounds(params)
+  if (method === 'Browser.setWindowBounds') return await setWindowBounds(params)
+
+  if (method === 'Relay.resolveTab') return await resolveTab(params)
+  if (method === 'Relay.setTabLabels') return await setTabLabels(params, sessionId)
+  if (method === 'Relay.getTabLabels') return await getTabLabels(params, sessionId)
+  if (method === 'Relay.probe') return await probeTab(params, sessionId, signal)
+  if (method === 'Relay.waitFor') return await waitForTabState(params, sessionId, signal)
+
   // Map command to tab
   const targetId = typeof params?.targetId === 'string' ? params.targetId : undefined
   let byTarget = targetId ? getTabByTargetId(targetId) : null
-  if (targetId && !byTarget) {
-    await refreshConnectedTargetInfos('pre-command-target-lookup')
+  if (targetId && (!byTarget || tabs.get(byTarget)?.state !== 'connected')) {
+    const aliasTabId = parseTargetAlias(targetId)
+    // An alias of a tab that is not attached (yet), e.g. one only announced by discovery: attach it if the
+    // attach scope allows.
+    if (aliasTabId !== null) await ensureAttachedToTabId(aliasTabId, 'target-alias')
+    else await refreshConnectedTargetInfos('pre-command-target-lookup')
     byTarget = getTabByTargetId(targetId)
   }
   const bySession = sessionId ? getTabBySessionId(sessionId) : null
   const hasExplicitAffinity = Boolean(bySession || byTarget || sessionId || targetId)
-  const tabId = bySession?.tabId || byTarget || (hasExplicitAffinity ? null : await getDefaultConnectedTabId())
+  const defaultTabId = hasExplicitAffinity ? null : queueTabId || (await getDefaultConnectedTabId())
+  const tabId = bySession?.tabId || byTarget || defaultTabId
 
   const resolvedTabId = await resolveLiveTabIdForCommand(tabId, {
     allowActiveFallback: !hasExplicitAffinity,
   })
-  if (!resolvedTabId) throw new Error(`No attached tab for method ${method}`)
+  if (!resolvedTabId) {
+    throw createRelayError('NO_ATTACHED_TAB', `No attached tab for method ${method}`, {
+      sessionId: sessionId || null,
+      targetId: targetId || null,
+    })
+  }
   await refreshTabTargetInfo(resolvedTabId, 'resolved-tab')
   const resolvedTabState = tabs.get(resolvedTabId)
-  if (targetId && resolvedTabState?.targetId && resolvedTabState.targetId !== targetId) {
+  const requestsChromeTargetId = Boolean(targetId) && parseTargetAlias(targetId) === null
+  if (requestsChromeTargetId && resolvedTabState?.targetId && resolvedTabState.targetId !== targetId) {
     console.warn(
       '[relay] targetId mismatch bridged',
       JSON.stringify({
@@ -624,24 +3023,18 @@ async function handleForwardCdpCommand(msg) {
 
   /** @type {chrome.debugger.DebuggerSession} */
   const debuggee = { tabId: resolvedTabId }
+  const sessionBinding = sessionId ? getTabBySessionId(sessionId) : null
+  const isChildSession = sessionBinding?.kind === 'child' || sessionBinding?.kind === 'stale-child'
 
-  if (method === 'Runtime.enable') {
+  if (method === 'Runtime.enable' && !isChildSession) {
     try {
-      await chrome.debugger.sendCommand(debuggee, 'Runtime.disable')
+      await sendDebuggerCommand(debuggee, 'Runtime.disable', undefined, signal)
       await new Promise((r) => setTimeout(r, 50))
     } catch {
       // ignore
     }
-    return await chrome.debugger.sendCommand(debuggee, 'Runtime.enable', params)
-  }
-
-  if (method === 'Target.createTarget') {
-    const url = typeof params?.url === 'string' ? params.url : 'about:blank'
-    const tab = await chrome.tabs.create({ url, active: false })
-    if (!tab.id) throw new Error('Failed to create tab')
-    await new Promise((r) => setTimeout(r, 100))
-    const attached = await attachTab(tab.id)
-    return { targetId: attached.targetId }
+    const result = await sendDebuggerCommand(debuggee, 'Runtime.enable', params, signal)
+    return recordTabState(resolvedTabId, method, params, result)
   }
 
   if (method === 'Target.closeTarget') {
@@ -669,18 +3062,58 @@ async function handleForwardCdpCommand(msg) {
     return {}
   }
 
-  const sessionBinding = sessionId ? getTabBySessionId(sessionId) : null
   if (sessionId && sessionBinding && sessionBinding.tabId !== resolvedTabId) {
-    throw new Error(`Session ${sessionId} is not attached to tab ${resolvedTabId}`)
+    throw createRelayError('SESSION_MISMATCH', `Session ${sessionId} is not attached to tab ${resolvedTabId}`, {
+      sessionId,
+      tabId: resolvedTabId,
+    })
   }
-  const debuggerSession = sessionBinding?.kind === 'child' ? { ...debuggee, sessionId } : debuggee
+  const childSessionId = isChildSession ? sessionId : undefined
+  /** Debuggee for a child session under its current debugger session id; null once the child is gone. */
+  const getChildDebuggee = async () => {
+    const debuggerSessionId = await waitForChildSession(sessionId, CHILD_SESSION_WAIT_MS, signal)
+    return debuggerSessionId ? { tabId: resolvedTabId, sessionId: debuggerSessionId } : null
+  }
+  let debuggerSession = debuggee
+  if (isChildSession) {
+    if (tabs.get(resolvedTabId)?.state !== 'connected') await ensureAttachedToTabId(resolvedTabId, 'child-session')
+    const childDebuggee = await getChildDebuggee()
+    if (!childDebuggee) {
+      throw createRelayError('DETACHED', `Child session ${sessionId} was not re-established`, {
+        sessionId,
+        tabId: resolvedTabId,
+      })
+    }
+    debuggerSession = childDebuggee
+  }
+  const retry = await getCommandRetryPolicy(method, msg?.params?.retry)
+  const strict = typeof msg?.params?.strict === 'boolean' ? msg.params.strict : isStrictByDefault(method)
+  meta.retryClass = retry.retryClass
+  meta.attempts = 0
   const baselineTab = await chrome.tabs.get(resolvedTabId).catch(() => null)
   const baselineUrl = String(baselineTab?.url || '').trim()
+  // State is recorded so a re-attach can restore it.
+  const send = async (onTabId, session) => {
+    meta.attempts += 1
+    const sendParams = mapRelayIdsInParams(onTabId, method, params, childSessionId)
+    const result = await sendDebuggerCommand(session, method, sendParams, signal)
+    return withTargetAliases(recordTabState(onTabId, method, params, result, childSessionId))
+  }
+  const noteRecovery = (step) => {
+    meta.recovery = [...(meta.recovery || []), step]
+  }
+  // A command that may already have run is only re-sent when its class says that is harmless.
+  const canResend = (failure) =>
+    retry.retries > 0 &&
+    (retry.retryClass === 'safe' ||
+      retry.retryClass === 'read' ||
+      (retry.retryClass === 'mutating' && isUndeliveredCommandError(failure)))
 
   try {
-    return await chrome.debugger.sendCommand(debuggerSession, method, params)
+    return await send(resolvedTabId, debuggerSession)
   } catch (err) {
     if (!isRecoverableDebuggerCommandError(err)) throw err
+    signal?.throwIfAborted()
 
     console.warn(
       '[relay] recoverable command failure',
@@ -689,63 +3122,113 @@ async function handleForwardCdpCommand(msg) {
         resolvedTabId,
         sessionId: sessionId || null,
         targetId: targetId || null,
+        retryClass: retry.retryClass,
         error: String(err instanceof Error ? err.message : err),
       })
     )
+    noteRecovery('reattach')
     await detachTab(resolvedTabId, 'command-recoverable-error')
     const staleTab = await chrome.tabs.get(resolvedTabId).catch(() => null)
     if (staleTab?.id) {
+      // The tab is always re-attached; the retry class only decides whether this command is sent again.
       await ensureAttachedToTabId(resolvedTabId, 'tab-not-found-reattach')
-      if (tabs.get(resolvedTabId)?.state === 'connected') {
-        const retryDebuggee = { tabId: resolvedTabId }
-        if (!sessionId || sessionBinding?.kind !== 'child') {
-          try {
-            console.warn('[relay] retrying command on reattached tab', JSON.stringify({ method, resolvedTabId }))
-            return await chrome.debugger.sendCommand(retryDebuggee, method, params)
-          } catch (retryErr) {
-            if (!isRecoverableDebuggerCommandError(retryErr)) throw retryErr
-            console.warn(
-              '[relay] reattached-tab retry failed',
-              JSON.stringify({
-                method,
-                resolvedTabId,
-                error: String(retryErr instanceof Error ? retryErr.message : retryErr),
-              })
-            )
-          }
+      signal?.throwIfAborted()
+      let lastErr = err
+      let attempt = 0
+      while (attempt < retry.retries && canResend(lastErr)) {
+        attempt += 1
+        if (attempt > 1) {
+          await raceWithSignal(new Promise((r) => setTimeout(r, retry.backoffMs * 2 ** (attempt - 2))), signal)
+          await ensureAttachedToTabId(resolvedTabId, 'tab-not-found-reattach')
+          signal?.throwIfAborted()
+        }
+        if (tabs.get(resolvedTabId)?.state !== 'connected') break
+        const retryDebuggee = isChildSession ? await getChildDebuggee() : { tabId: resolvedTabId }
+        if (!retryDebuggee) break
+        try {
+          noteRecovery('retry-reattached')
+          console.warn(
+            '[relay] retrying command on reattached tab',
+            JSON.stringify({ method, resolvedTabId, attempt, retryClass: retry.retryClass })
+          )
+          return await send(resolvedTabId, retryDebuggee)
+        } catch (retryErr) {
+          if (!isRecoverableDebuggerCommandError(retryErr)) throw retryErr
+          signal?.throwIfAborted()
+          lastErr = retryErr
+          console.warn(
+            '[relay] reattached-tab retry failed',
+            JSON.stringify({
+              method,
+              resolvedTabId,
+              attempt,
+              error: String(retryErr instanceof Error ? retryErr.message : retryErr),
+            })
+          )
         }
       }
 
-      if (baselineUrl && isReadOrSnapshotLikeMethod(method)) {
+      const guardMode = baselineUrl ? await getUrlGuardMode(method, baselineUrl) : 'off'
+      if (guardMode !== 'off') {
         const currentTab = await chrome.tabs.get(resolvedTabId).catch(() => null)
         const currentUrl = String(currentTab?.url || '').trim()
         const drifted = normalizeUrlForCompare(currentUrl) !== normalizeUrlForCompare(baselineUrl)
-        if (drifted || tabs.get(resolvedTabId)?.state !== 'connected') {
+        const attached = tabs.get(resolvedTabId)?.state === 'connected'
+        if (drifted || !attached) {
           console.warn(
             '[relay] url guard triggered',
             JSON.stringify({
               method,
               tabId: resolvedTabId,
+              mode: guardMode,
               expectedUrl: baselineUrl,
               currentUrl: currentUrl || null,
             })
           )
-          const recovered = await recoverTabByUrlRenavigate(resolvedTabId, baselineUrl, 'recoverable-url-guard')
-          if (recovered && (!sessionId || sessionBinding?.kind !== 'child')) {
-            const retryDebuggee = { tabId: resolvedTabId }
-            try {
-              console.warn('[relay] retrying command after url guard', JSON.stringify({ method, resolvedTabId }))
-              return await chrome.debugger.sendCommand(retryDebuggee, method, params)
-            } catch (urlRetryErr) {
-              if (!isRecoverableDebuggerCommandError(urlRetryErr)) throw urlRetryErr
-              console.warn(
-                '[relay] url-guard retry failed',
-                JSON.stringify({
+          if (guardMode === 'report') {
+            noteRecovery('url-guard-report')
+            // Protocol 1 relays only know CDP events.
+            if (relayProtocolVersion !== 1) {
+              sendRelayEvent({
+                method: 'Relay.urlDrift',
+                params: {
+                  sessionId: tabs.get(resolvedTabId)?.sessionId || sessionId || null,
+                  targetId: getTargetAlias(resolvedTabId),
                   method,
-                  resolvedTabId,
-                  error: String(urlRetryErr instanceof Error ? urlRetryErr.message : urlRetryErr),
-                })
-              )
+                  expectedUrl: baselineUrl,
+                  currentUrl: currentUrl || null,
+                  drifted,
+                  attached,
+                },
+              })
+            }
+          } else if (canResend(lastErr)) {
+            noteRecovery('url-guard-renavigate')
+            const recovered = await recoverTabByUrlRenavigate(
+              resolvedTabId,
+              baselineUrl,
+              'recoverable-url-guard',
+              signal
+            )
+            let retryDebuggee = null
+            if (recovered) retryDebuggee = isChildSession ? await getChildDebuggee() : { tabId: resolvedTabId }
+            if (retryDebuggee) {
+              try {
+                noteRecovery('retry-url-guard')
+                console.warn('[relay] retrying command after url guard', JSON.stringify({ method, resolvedTabId }))
+                return await send(resolvedTabId, retryDebuggee)
+              } catch (urlRetryErr) {
+                if (!isRecoverableDebuggerCommandError(urlRetryErr)) throw urlRetryErr
+                signal?.throwIfAborted()
+                console.warn(
+                  '[relay] url-guard retry failed',
+                  JSON.stringify({
+                    method,
+                    resolvedTabId,
+                    error: String(urlRetryErr instanceof Error ? urlRetryErr.message : urlRetryErr),
+                  })
+                )
+              }
             }
           }
         }
@@ -757,17 +3240,51 @@ async function handleForwardCdpCommand(msg) {
         '[relay] strict-affinity command failed after tab loss',
         JSON.stringify({ method, sessionId: sessionId || null, targetId: targetId || null })
       )
-      throw new Error(
-        `Target for method ${method} disappeared and affinity is strict (session=${sessionId || 'none'}, target=${targetId || 'none'})`
+      throw createRelayError(
+        'STRICT_AFFINITY_LOST',
+        `Target for method ${method} disappeared and affinity is strict (session=${sessionId || 'none'}, target=${targetId || 'none'})`,
+        {
+          sessionId: sessionId || null,
+          targetId: targetId || null,
+          cause: err instanceof Error ? err.message : String(err),
+        }
       )
     }
 
+    if (strict) {
+      console.warn('[relay] strict command failed after tab loss', JSON.stringify({ method, resolvedTabId }))
+      throw createRelayError(
+        'STRICT_AFFINITY_LOST',
+        `Tab for method ${method} was lost and strict mode forbids failover`,
+        {
+          sessionId: resolvedTabState?.sessionId || null,
+          targetId: getTargetAlias(resolvedTabId),
+          strict: true,
+          cause: err instanceof Error ? err.message : String(err),
+        }
+      )
+    }
+    if (!canResend(err)) throw err
+    signal?.throwIfAborted()
     await ensureAttachedForAllTabs('tab-not-found-recover')
+    signal?.throwIfAborted()
     const retryTabId = await getDefaultConnectedTabId()
     if (!retryTabId || retryTabId === resolvedTabId) throw err
 
-    const retryDebuggee = { tabId: retryTabId }
-    return await chrome.debugger.sendCommand(retryDebuggee, method, params)
+    noteRecovery('failover')
+    meta.failover = {
+      from: { sessionId: resolvedTabState?.sessionId || null, targetId: getTargetAlias(resolvedTabId) },
+      to: { sessionId: tabs.get(retryTabId)?.sessionId || null, targetId: getTargetAlias(retryTabId) },
+    }
+    console.warn('[relay] command failed over to another tab', JSON.stringify({ method, ...meta.failover }))
+    // The other tab's queued commands must not overlap this one.
+    const failoverTurn = retryTabId === queueTabId ? null : await takeQueueTurn(`tab:${retryTabId}`, signal)
+    const failoverWork = send(retryTabId, { tabId: retryTabId })
+    try {
+      return await failoverWork
+    } finally {
+      if (failoverTurn) leaveTurnWhenSettled(failoverTurn.leave, failoverWork, signal)
+    }
   }
 }
 
@@ -776,8 +3293,18 @@ function onDebuggerEvent(source, method, params) {
   if (!tabId) return
   const tab = tabs.get(tabId)
   if (!tab?.sessionId) return
-
-  if (method === 'Target.targetInfoChanged' && params?.targetInfo?.targetId) {
+  const eventSessionId = source.sessionId ? childSessionAliases.get(source.sessionId) || source.sessionId : ''
+  const childTarget =
+    method === 'Target.targetInfoChanged'
+      ? [...childSessions.values()].find(
+          (child) => child.tabId === tabId && child.targetInfo?.targetId === params?.targetInfo?.targetId
+        )
+      : undefined
+
+  if (childTarget) {
+    childTarget.targetInfo = params.targetInfo
+    schedulePersistRegistry()
+  } else if (method === 'Target.targetInfoChanged' && !source.sessionId && params?.targetInfo?.targetId) {
     const newTargetId = String(params.targetInfo.targetId)
     if (newTargetId && tab.targetId !== newTargetId) {
       const oldTargetId = tab.targetId || ''
@@ -789,6 +3316,7 @@ function onDebuggerEvent(source, method, params) {
       }
       tab.targetId = newTargetId
       tabs.set(tabId, tab)
+      schedulePersistRegistry()
       console.warn(
         '[relay] targetId changed',
         JSON.stringify({ tabId, oldTargetId: oldTargetId || null, newTargetId })
@@ -796,65 +3324,201 @@ function onDebuggerEvent(source, method, params) {
     }
   }
 
+  trackPageState(tabId, source, method, params)
+  // Lifecycle events are on for the extension's own tracking; the relay only gets them once it asked.
+  if (method === 'Page.lifecycleEvent' && !source.sessionId && !isLifecycleForwarded(tabId)) return
+
   if (method === 'Target.attachedToTarget' && params?.sessionId) {
-    childSessionToTab.set(String(params.sessionId), tabId)
+    params = onChildAttached(tabId, params)
   }
 
   if (method === 'Target.detachedFromTarget' && params?.sessionId) {
-    childSessionToTab.delete(String(params.sessionId))
+    params = onChildDetached(params)
   }
 
-  try {
-    sendToRelay({
-      method: 'forwardCDPEvent',
-      params: {
-        sessionId: source.sessionId || tab.sessionId,
-        method,
-        params,
-      },
+  sendRelayEvent({
+    sessionId: eventSessionId || tab.sessionId,
+    method,
+    params: withTargetAliases(params),
+  })
+}
+
+function saveWithdrawnTabs() {
+  void chrome.storage.session.set({ withdrawnTabIds: [...withdrawnTabs] }).catch(() => {})
+}
+
+async function withdrawTabByUser(tabId, reason) {
+  const tab = tabs.get(tabId)
+  withdrawnTabs.add(tabId)
+  saveWithdrawnTabs()
+  console.warn('[relay] tab withdrawn by user', JSON.stringify({ tabId, reason }))
+  // Protocol 1 relays only know CDP events.
+  if (tab?.sessionId && tab?.targetId && relayProtocolVersion !== 1) {
+    sendRelayEvent({
+      method: 'Relay.targetWithdrawn',
+      params: { sessionId: tab.sessionId, targetId: getTargetAlias(tabId), reason },
     })
-  } catch {
-    // ignore
   }
+  await detachTab(tabId, reason)
+  setBadge(tabId, 'withdrawn')
+  setTabTitle(tabId, 'OpenClaw Browser Relay: detached by you (click to re-enable this tab)')
+}
+
+async function reenableWithdrawnTabs(tabIds, source = 'reenable') {
+  await withdrawnTabsLoaded
+  const ids = tabIds || [...withdrawnTabs]
+  for (const tabId of ids) withdrawnTabs.delete(tabId)
+  saveWithdrawnTabs()
+  await Promise.allSettled(ids.map((tabId) => ensureAttachedToTabId(tabId, source)))
 }
 
 function onDebuggerDetach(source, reason) {
   const tabId = source.tabId
   if (!tabId) return
   if (!tabs.has(tabId)) return
+  if (reason === 'canceled_by_user') {
+    void withdrawTabByUser(tabId, reason)
+    return
+  }
   void detachTab(tabId, reason)
   scheduleReconnectAllTabs()
 }
 
 chrome.action.onClicked.addListener((tab) => {
   if (tab?.id) {
-    void ensureAttachedToTabId(tab.id, 'click')
+    optedInTabs.add(tab.id)
+    schedulePersistRegistry()
+    void reenableWithdrawnTabs([tab.id], 'click')
     return
   }
   void ensureAttachedForActiveTab('click')
 })
 
-chrome.tabs.onActivated.addListener(({ tabId }) => {
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  if (focusedWindowId === null || windowId === focusedWindowId) focusedTabId = tabId
   void syncGlobalBadgeForActiveTab()
-  void ensureAttachedToTabId(tabId, 'activated')
+  void (async () => {
+    if ((await getAttachMode()) === 'active') await enforceAttachScopeOnAttachedTabs('activated')
+    await ensureAttachedToTabId(tabId, 'activated')
+  })()
 })
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'loading' && tabs.has(tabId)) navigatingTabs.add(tabId)
+  if (changeInfo.status === 'complete' && navigatingTabs.delete(tabId)) drainTabSlotWaiters()
+  if ('url' in changeInfo || 'title' in changeInfo || changeInfo.status === 'complete') {
+    void syncDiscoveredTarget(tabId)
+  }
   if (!('url' in changeInfo) && changeInfo.status !== 'complete') return
   if (tab?.active) void syncGlobalBadgeForActiveTab()
-  void ensureAttachedToTabId(tabId, 'updated')
+  void (async () => {
+    if ('url' in changeInfo && (await enforceAttachPolicyForTab(tabId, changeInfo.url || '', 'updated'))) return
+    await ensureAttachedToTabId(tabId, 'updated')
+  })()
 })
 
 chrome.tabs.onCreated.addListener((tab) => {
   if (!tab?.id) return
+  if (tab.openerTabId && agentTabs.has(tab.openerTabId)) {
+    agentTabs.add(tab.id)
+    schedulePersistRegistry()
+  }
+  void syncDiscoveredTarget(tab.id)
   void ensureAttachedToTabId(tab.id, 'created')
 })
 
 chrome.tabs.onRemoved.addListener((tabId) => {
+  if (focusedTabId === tabId) focusedTabId = null
+  const wasOptedIn = optedInTabs.delete(tabId)
+  const wasAgentTab = agentTabs.delete(tabId)
+  if (wasOptedIn || wasAgentTab) schedulePersistRegistry()
+  if (navigatingTabs.delete(tabId)) drainTabSlotWaiters()
+  if (withdrawnTabs.delete(tabId)) saveWithdrawnTabs()
+  if (tabReplayState.delete(tabId)) schedulePersistRegistry()
+  if (tabLabels.delete(tabId)) schedulePersistRegistry()
+  tabStatusTitles.delete(tabId)
+  void syncDiscoveredTarget(tabId, true)
   if (!tabs.has(tabId)) return
   void detachTab(tabId, 'tab-closed')
 })
 
+// Wakes a suspended worker: the module re-runs restoreRegistry(), and this resumes auto-attach.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== KEEPALIVE_ALARM) return
+  void (async () => {
+    await registryRestored
+    if (checkRelayWatchdog()) return
+    // A pending reconnect keeps its backoff; the alarm only revives a worker that has nothing scheduled.
+    if (relayWs || relayHoldingSessions || reconnectTimer) return
+    await ensureAttachedForAllTabs('keepalive-alarm')
+  })()
+})
+
+chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+  const tab = tabs.get(tabId)
+  if (tab?.state === 'connected') {
+    tab.browserContextId = getBrowserContextIdForWindow(attachInfo.newWindowId)
+    schedulePersistRegistry()
+  }
+  void syncDiscoveredTarget(tabId)
+})
+
+/** Tracks the active tab of the last focused window; losing focus to another app keeps the last one. */
+async function refreshFocusedTab(windowId) {
+  const query = windowId ? { active: true, windowId } : { active: true, currentWindow: true }
+  const [active] = await chrome.tabs.query(query)
+  if (!active?.id) return
+  focusedWindowId = active.windowId
+  focusedTabId = active.id
+}
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return
+  void refreshFocusedTab(windowId).catch(() => {})
+})
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  for (const [browserContextId, ctx] of browserContexts.entries()) {
+    if (!ctx.windowIds.delete(windowId)) continue
+    // A context whose last window the user closed is gone.
+    if (ctx.windowIds.size === 0) browserContexts.delete(browserContextId)
+    schedulePersistRegistry()
+  }
+})
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.type !== 'reenableWithdrawnTabs') return false
+  void reenableWithdrawnTabs(undefined, 'options').then(() => sendResponse({ ok: true }))
+  return true
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return
+  if ('maxConcurrentTabs' in changes) {
+    maxConcurrentTabs = null
+    void getMaxConcurrentTabs().then(() => drainTabSlotWaiters())
+  }
+  if ('commandTimeoutMs' in changes) void loadDefaultCommandTimeout()
+  if (['relayToken', 'relayScheme', 'relayHost', 'relayPort', 'relayPath'].some((key) => key in changes)) {
+    relayAuthFailed = false
+    reconnectAttempt = 0
+    // Reconnect so the new endpoint/token is used for the handshake.
+    if (relayWs) relayWs.close()
+    else void ensureAttachedForAllTabs('relay-settings-changed')
+  }
+  if (['retryRules', 'retryLimits', 'retryBackoffMs'].some((key) => key in changes)) retryPolicy = null
+  if (['urlGuardMode', 'urlGuardOriginRules', 'urlGuardMethodRules'].some((key) => key in changes)) {
+    urlGuardPolicy = null
+  }
+  if (!('attachAllowRules' in changes) && !('attachDenyRules' in changes) && !('attachMode' in changes)) return
+  attachPolicy = null
+  attachMode = null
+  void (async () => {
+    await enforceAttachScopeOnAttachedTabs('settings-changed')
+    await ensureAttachedForAllTabs('settings-changed')
+  })()
+})
+
 chrome.runtime.onInstalled.addListener(() => {
   // Useful: first-time instructions.
   void chrome.runtime.openOptionsPage().catch(() => {})
@@ -866,3 +3530,12 @@ chrome.runtime.onStartup.addListener(() => {
   void syncGlobalBadgeForActiveTab()
   void ensureAttachedForAllTabs('startup')
 })
+
+void loadDefaultCommandTimeout().catch(() => {})
+void refreshFocusedTab().catch(() => {})
+
+const registryRestored = restoreRegistry().catch((err) => {
+  console.warn('[relay] registry restore failed', String(err))
+})
+
+void chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 }).catch(() => {})
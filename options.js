@@ -1,4 +1,13 @@
 const DEFAULT_PORT = 18792
+const DEFAULT_HOST = '127.0.0.1'
+const DEFAULT_PATH = '/extension'
+const LOCAL_RELAY_HOSTS = ['127.0.0.1', 'localhost', '::1']
+const DEFAULT_MAX_CONCURRENT_TABS = 4
+const DEFAULT_COMMAND_TIMEOUT_S = 30
+const RETRY_CLASSES = ['safe', 'read', 'mutating', 'never']
+const DEFAULT_RETRY_LIMITS = { read: 2, safe: 2, mutating: 1 }
+const DEFAULT_RETRY_BACKOFF_MS = 250
+const URL_GUARD_MODES = ['off', 'report', 'renavigate']
 
 function clampPort(value) {
   const n = Number.parseInt(String(value || ''), 10)
@@ -7,21 +16,89 @@ function clampPort(value) {
   return n
 }
 
-function updateRelayUrl(port) {
+function clampConcurrency(value) {
+  const n = Number.parseInt(String(value || ''), 10)
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_MAX_CONCURRENT_TABS
+  return Math.min(n, 64)
+}
+
+function clampRetries(value, fallback) {
+  const n = Number.parseInt(String(value), 10)
+  if (!Number.isFinite(n) || n < 0) return fallback
+  return Math.min(n, 5)
+}
+
+function clampBackoff(value) {
+  const n = Number.parseInt(String(value), 10)
+  if (!Number.isFinite(n) || n < 0) return DEFAULT_RETRY_BACKOFF_MS
+  return Math.min(n, 60000)
+}
+
+function clampCommandTimeout(value) {
+  const n = Number.parseInt(String(value), 10)
+  if (!Number.isFinite(n) || n < 0) return DEFAULT_COMMAND_TIMEOUT_S
+  return Math.min(n, 600)
+}
+
+function clampHost(value) {
+  const host = String(value || '')
+    .trim()
+    .replace(/^\[(.*)\]$/, '$1')
+    .toLowerCase()
+  return host || DEFAULT_HOST
+}
+
+function clampPath(value) {
+  const path = String(value || '').trim()
+  if (!path) return DEFAULT_PATH
+  return path.startsWith('/') ? path : `/${path}`
+}
+
+function readEndpointForm() {
+  const secure = document.getElementById('scheme').value === 'wss'
+  const host = clampHost(document.getElementById('host').value)
+  const port = clampPort(document.getElementById('port').value)
+  const path = clampPath(document.getElementById('path').value)
+  return toEndpoint({ secure, host, port, path })
+}
+
+function toEndpoint({ secure, host, port, path }) {
+  const hostPart = host.includes(':') ? `[${host}]` : host
+  const httpScheme = secure ? 'https' : 'http'
+  return {
+    secure,
+    host,
+    port,
+    path,
+    isLocal: !secure && LOCAL_RELAY_HOSTS.includes(host),
+    httpUrl: `${httpScheme}://${hostPart}:${port}/`,
+    wsUrl: `${secure ? 'wss' : 'ws'}://${hostPart}:${port}${path}`,
+    originPattern: `${httpScheme}://${hostPart}/*`,
+  }
+}
+
+function fillEndpointForm(endpoint) {
+  document.getElementById('scheme').value = endpoint.secure ? 'wss' : 'ws'
+  document.getElementById('host').value = endpoint.host
+  document.getElementById('port').value = String(endpoint.port)
+  document.getElementById('path').value = endpoint.path
+}
+
+function updateRelayUrl(endpoint) {
   const el = document.getElementById('relay-url')
   if (!el) return
-  el.textContent = `http://127.0.0.1:${port}/`
+  el.textContent = endpoint.wsUrl
 }
 
-function setStatus(kind, message) {
-  const status = document.getElementById('status')
+function setStatus(kind, message, id = 'status') {
+  const status = document.getElementById(id)
   if (!status) return
   status.dataset.kind = kind || ''
   status.textContent = message || ''
 }
 
-async function checkRelayReachable(port) {
-  const url = `http://127.0.0.1:${port}/`
+async function checkRelayReachable(endpoint) {
+  const url = endpoint.httpUrl
   const ctrl = new AbortController()
   const t = setTimeout(() => ctrl.abort(), 900)
   try {
@@ -31,29 +108,222 @@ async function checkRelayReachable(port) {
   } catch {
     setStatus(
       'error',
-      `Relay not reachable at ${url}. Start OpenClaw’s browser relay on this machine. Auto-attach will resume when relay is reachable.`,
+      endpoint.isLocal
+        ? `Relay not reachable at ${url}. Start OpenClaw’s browser relay on this machine. Auto-attach will resume when relay is reachable.`
+        : `Relay not reachable at ${url}. Check that the Gateway is running and reachable from this machine. Auto-attach will resume when relay is reachable.`,
     )
   } finally {
     clearTimeout(t)
   }
 }
 
+function parseRules(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+}
+
+function findInvalidRetryRule(rules) {
+  for (const rule of rules) {
+    const m = rule.match(/^([\w.*]+)\s*=\s*(\w+)$/)
+    if (!m || !RETRY_CLASSES.includes(m[2])) return rule
+  }
+  return null
+}
+
+function findInvalidUrlGuardRule(rules, isMethod) {
+  for (const rule of rules) {
+    const m = rule.match(/^(.*\S)\s*=\s*(\w+)$/)
+    if (!m || !URL_GUARD_MODES.includes(m[2])) return rule
+    if (isMethod ? !/^[\w.*]+$/.test(m[1]) : findInvalidRule([m[1]])) return rule
+  }
+  return null
+}
+
+function findInvalidRule(rules) {
+  for (const rule of rules) {
+    const m = rule.match(/^\/(.+)\/([a-z]*)$/)
+    if (!m) continue
+    try {
+      new RegExp(m[1], m[2])
+    } catch {
+      return rule
+    }
+  }
+  return null
+}
+
+async function renderWithdrawnTabs() {
+  const stored = await chrome.storage.session.get(['withdrawnTabIds']).catch(() => ({}))
+  const ids = stored.withdrawnTabIds || []
+  const list = document.getElementById('withdrawn-list')
+  list.replaceChildren()
+  for (const tabId of ids) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null)
+    if (!tab) continue
+    const item = document.createElement('li')
+    item.textContent = tab.title || tab.url || `Tab ${tabId}`
+    list.append(item)
+  }
+  document.getElementById('withdrawn-summary').textContent =
+    list.childElementCount === 0 ? 'No tabs detached.' : `${list.childElementCount} tab(s) detached via “Cancel”:`
+}
+
+async function reenableWithdrawn() {
+  await chrome.runtime.sendMessage({ type: 'reenableWithdrawnTabs' }).catch(() => {})
+  await renderWithdrawnTabs()
+}
+
 async function load() {
-  const stored = await chrome.storage.local.get(['relayPort'])
-  const port = clampPort(stored.relayPort)
-  document.getElementById('port').value = String(port)
-  updateRelayUrl(port)
-  await checkRelayReachable(port)
+  const stored = await chrome.storage.local.get([
+    'relayScheme',
+    'relayHost',
+    'relayPort',
+    'relayPath',
+    'relayToken',
+    'attachMode',
+    'maxConcurrentTabs',
+    'commandTimeoutMs',
+    'attachAllowRules',
+    'attachDenyRules',
+    'retryRules',
+    'retryLimits',
+    'retryBackoffMs',
+    'urlGuardMode',
+    'urlGuardOriginRules',
+    'urlGuardMethodRules',
+  ])
+  const endpoint = toEndpoint({
+    secure: stored.relayScheme === 'wss',
+    host: clampHost(stored.relayHost),
+    port: clampPort(stored.relayPort),
+    path: clampPath(stored.relayPath),
+  })
+  fillEndpointForm(endpoint)
+  document.getElementById('token').value = stored.relayToken || ''
+  document.getElementById('attach-mode').value = stored.attachMode || 'all'
+  document.getElementById('max-tabs').value = String(clampConcurrency(stored.maxConcurrentTabs))
+  const timeoutS = stored.commandTimeoutMs === undefined ? undefined : Math.round(stored.commandTimeoutMs / 1000)
+  document.getElementById('command-timeout').value = String(clampCommandTimeout(timeoutS))
+  document.getElementById('allow-rules').value = (stored.attachAllowRules || []).join('\n')
+  document.getElementById('deny-rules').value = (stored.attachDenyRules || []).join('\n')
+  document.getElementById('retry-rules').value = (stored.retryRules || []).join('\n')
+  for (const retryClass of Object.keys(DEFAULT_RETRY_LIMITS)) {
+    const limit = clampRetries(stored.retryLimits?.[retryClass], DEFAULT_RETRY_LIMITS[retryClass])
+    document.getElementById(`retry-${retryClass}`).value = String(limit)
+  }
+  document.getElementById('retry-backoff').value = String(clampBackoff(stored.retryBackoffMs))
+  document.getElementById('url-guard-mode').value = stored.urlGuardMode || 'off'
+  document.getElementById('url-guard-origins').value = (stored.urlGuardOriginRules || []).join('\n')
+  document.getElementById('url-guard-methods').value = (stored.urlGuardMethodRules || []).join('\n')
+  updateRelayUrl(endpoint)
+  await renderWithdrawnTabs()
+  await checkRelayReachable(endpoint)
 }
 
 async function save() {
-  const input = document.getElementById('port')
-  const port = clampPort(input.value)
-  await chrome.storage.local.set({ relayPort: port })
-  input.value = String(port)
-  updateRelayUrl(port)
-  await checkRelayReachable(port)
+  const endpoint = readEndpointForm()
+  // Ask before any other await so the click still counts as a user gesture.
+  if (!endpoint.isLocal) {
+    const granted = await chrome.permissions.request({ origins: [endpoint.originPattern] }).catch(() => false)
+    if (!granted) {
+      setStatus('error', `Permission to reach ${endpoint.originPattern} was not granted; endpoint not saved.`)
+      return
+    }
+  }
+  await chrome.storage.local.set({
+    relayScheme: endpoint.secure ? 'wss' : 'ws',
+    relayHost: endpoint.host,
+    relayPort: endpoint.port,
+    relayPath: endpoint.path,
+  })
+  fillEndpointForm(endpoint)
+  updateRelayUrl(endpoint)
+  await checkRelayReachable(endpoint)
+}
+
+async function saveToken() {
+  const input = document.getElementById('token')
+  const token = String(input.value || '').trim()
+  await chrome.storage.local.set({ relayToken: token })
+  input.value = token
+  setStatus('ok', token ? 'Token saved. Reconnecting to the relay…' : 'Token cleared.', 'token-status')
+}
+
+async function saveScheduling() {
+  const input = document.getElementById('max-tabs')
+  const maxConcurrentTabs = clampConcurrency(input.value)
+  const timeoutInput = document.getElementById('command-timeout')
+  const timeoutS = clampCommandTimeout(timeoutInput.value)
+  await chrome.storage.local.set({ maxConcurrentTabs, commandTimeoutMs: timeoutS * 1000 })
+  input.value = String(maxConcurrentTabs)
+  timeoutInput.value = String(timeoutS)
+  const deadline = timeoutS ? `${timeoutS}s default timeout` : 'no default timeout'
+  setStatus('ok', `Up to ${maxConcurrentTabs} tab(s) run commands at once; ${deadline}.`, 'scheduling-status')
+}
+
+async function saveMode() {
+  const select = document.getElementById('attach-mode')
+  await chrome.storage.local.set({ attachMode: select.value })
+  setStatus('ok', `Attach mode: ${select.options[select.selectedIndex].text}.`, 'mode-status')
+}
+
+async function saveRules() {
+  const allow = parseRules(document.getElementById('allow-rules').value)
+  const deny = parseRules(document.getElementById('deny-rules').value)
+  const invalid = findInvalidRule([...allow, ...deny])
+  if (invalid) {
+    setStatus('error', `Invalid regex rule: ${invalid}`, 'rules-status')
+    return
+  }
+  await chrome.storage.local.set({ attachAllowRules: allow, attachDenyRules: deny })
+  setStatus('ok', `Saved ${allow.length} allow and ${deny.length} deny rule(s).`, 'rules-status')
+}
+
+async function saveRetry() {
+  const rules = parseRules(document.getElementById('retry-rules').value)
+  const invalid = findInvalidRetryRule(rules)
+  if (invalid) {
+    setStatus('error', `Invalid retry rule: ${invalid}`, 'retry-status')
+    return
+  }
+  const retryLimits = {}
+  for (const retryClass of Object.keys(DEFAULT_RETRY_LIMITS)) {
+    const input = document.getElementById(`retry-${retryClass}`)
+    retryLimits[retryClass] = clampRetries(input.value, DEFAULT_RETRY_LIMITS[retryClass])
+    input.value = String(retryLimits[retryClass])
+  }
+  const backoffInput = document.getElementById('retry-backoff')
+  const retryBackoffMs = clampBackoff(backoffInput.value)
+  backoffInput.value = String(retryBackoffMs)
+  await chrome.storage.local.set({ retryRules: rules, retryLimits, retryBackoffMs })
+  setStatus('ok', `Saved ${rules.length} retry rule(s).`, 'retry-status')
+}
+
+async function saveUrlGuard() {
+  const select = document.getElementById('url-guard-mode')
+  const origins = parseRules(document.getElementById('url-guard-origins').value)
+  const methods = parseRules(document.getElementById('url-guard-methods').value)
+  const invalid = findInvalidUrlGuardRule(origins, false) || findInvalidUrlGuardRule(methods, true)
+  if (invalid) {
+    setStatus('error', `Invalid URL guard rule: ${invalid}`, 'url-guard-status')
+    return
+  }
+  await chrome.storage.local.set({
+    urlGuardMode: select.value,
+    urlGuardOriginRules: origins,
+    urlGuardMethodRules: methods,
+  })
+  setStatus('ok', `URL guard: ${select.options[select.selectedIndex].text}.`, 'url-guard-status')
 }
 
 document.getElementById('save').addEventListener('click', () => void save())
+document.getElementById('save-token').addEventListener('click', () => void saveToken())
+document.getElementById('save-scheduling').addEventListener('click', () => void saveScheduling())
+document.getElementById('reenable').addEventListener('click', () => void reenableWithdrawn())
+document.getElementById('save-mode').addEventListener('click', () => void saveMode())
+document.getElementById('save-rules').addEventListener('click', () => void saveRules())
+document.getElementById('save-retry').addEventListener('click', () => void saveRetry())
+document.getElementById('save-url-guard').addEventListener('click', () => void saveUrlGuard())
 void load()